@@ -15,24 +15,32 @@ const DATE_PRESETS = {
   custom: 'Custom Range'
 };
 
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * First day of the week, 0 (Sunday) to 6; replaced by the worker's weekStartDay once repos load
+ */
+let weekStartDay = 1;
+
 /**
- * Gets the start of the current week (Monday)
- * @returns {Date} Monday of current week
+ * Gets the start of the week containing a date
+ * @param {Date} date - Date to get week start for
+ * @param {number} startDay - First day of the week, 0 (Sunday) to 6
+ * @returns {Date} First day of that week
  */
-function getWeekStart(date = new Date()) {
+function getWeekStart(date = new Date(), startDay = weekStartDay) {
   const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-  return new Date(d.setDate(diff));
+  d.setDate(d.getDate() - (d.getDay() - startDay + 7) % 7);
+  return d;
 }
 
 /**
- * Formats a date as YYYY-MM-DD
+ * Formats a date as YYYY-MM-DD (local calendar date)
  * @param {Date} date - Date to format
  * @returns {string} Formatted date string
  */
 function formatDate(date) {
-  return date.toISOString().split('T')[0];
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
 /**
@@ -114,7 +122,11 @@ class FilterManager {
       sortBy: 'date',
       sortOrder: 'desc',
       groupBy: 'week', // 'day', 'week', 'month', 'year'
-      search: '' // Search term for commit messages
+      search: '', // Search term for commit messages
+      author: '', // Author id from the contributors panel (email or name also work)
+      branch: '', // '' for the configured branches, '*' for every branch
+      type: '', // Conventional Commits type, 'breaking', or '' for all commits
+      stats: false // Load line stats (each uncached commit costs an API request)
     };
     
     this.searchDebounceTimeout = null;
@@ -159,6 +171,18 @@ class FilterManager {
     if (params.has('search')) {
       this.currentFilters.search = params.get('search');
     }
+    if (params.has('author')) {
+      this.currentFilters.author = params.get('author');
+    }
+    if (params.has('branch')) {
+      this.currentFilters.branch = params.get('branch');
+    }
+    if (params.has('type')) {
+      this.currentFilters.type = params.get('type');
+    }
+    if (params.has('stats')) {
+      this.currentFilters.stats = params.get('stats') === 'on';
+    }
     
     // If in day mode and day is set, use it
     if (this.currentFilters.searchMode === 'day' && this.currentFilters.day) {
@@ -220,6 +244,18 @@ class FilterManager {
     if (this.currentFilters.search) {
       params.set('search', this.currentFilters.search);
     }
+    if (this.currentFilters.author) {
+      params.set('author', this.currentFilters.author);
+    }
+    if (this.currentFilters.branch) {
+      params.set('branch', this.currentFilters.branch);
+    }
+    if (this.currentFilters.type) {
+      params.set('type', this.currentFilters.type);
+    }
+    if (this.currentFilters.stats) {
+      params.set('stats', 'on');
+    }
     
     const newURL = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
     window.history.pushState({}, '', newURL);
@@ -337,6 +373,36 @@ class FilterManager {
       });
     }
     
+    // Branch selector
+    const branchSelect = document.getElementById('eoyr-branch');
+    if (branchSelect) {
+      branchSelect.addEventListener('change', () => {
+        this.currentFilters.branch = branchSelect.value;
+        this.updateURL();
+        this.applyFilters();
+      });
+    }
+    
+    // Line stats selector
+    const statsSelect = document.getElementById('eoyr-stats');
+    if (statsSelect) {
+      statsSelect.addEventListener('change', () => {
+        this.currentFilters.stats = statsSelect.value === 'on';
+        this.updateURL();
+        this.applyFilters();
+      });
+    }
+    
+    // Commit type selector
+    const typeSelect = document.getElementById('eoyr-type');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', () => {
+        this.currentFilters.type = typeSelect.value;
+        this.updateURL();
+        this.applyFilters();
+      });
+    }
+    
     // Search input with debounce
     const searchInput = document.getElementById('eoyr-search');
     if (searchInput) {
@@ -445,6 +511,21 @@ class FilterManager {
       groupBySelect.value = this.currentFilters.groupBy;
     }
     
+    const branchSelect = document.getElementById('eoyr-branch');
+    if (branchSelect) {
+      branchSelect.value = this.currentFilters.branch;
+    }
+    
+    const statsSelect = document.getElementById('eoyr-stats');
+    if (statsSelect) {
+      statsSelect.value = this.currentFilters.stats ? 'on' : '';
+    }
+    
+    const typeSelect = document.getElementById('eoyr-type');
+    if (typeSelect) {
+      typeSelect.value = this.currentFilters.type;
+    }
+    
     const searchInput = document.getElementById('eoyr-search');
     if (searchInput && this.currentFilters.search) {
       searchInput.value = this.currentFilters.search;
@@ -499,7 +580,11 @@ class FilterManager {
       sortBy: 'date',
       sortOrder: 'desc',
       groupBy: 'week',
-      search: ''
+      search: '',
+      author: '',
+      branch: '',
+      type: '',
+      stats: false
     };
     
     // Reset UI
@@ -539,6 +624,15 @@ class FilterManager {
     const groupBySelect = document.getElementById('eoyr-group-by');
     if (groupBySelect) groupBySelect.value = 'week';
     
+    const branchSelect = document.getElementById('eoyr-branch');
+    if (branchSelect) branchSelect.value = '';
+    
+    const statsSelect = document.getElementById('eoyr-stats');
+    if (statsSelect) statsSelect.value = '';
+    
+    const typeSelect = document.getElementById('eoyr-type');
+    if (typeSelect) typeSelect.value = '';
+    
     const searchInput = document.getElementById('eoyr-search');
     if (searchInput) searchInput.value = '';
     
@@ -554,6 +648,44 @@ class FilterManager {
     this.applyFilters();
   }
   
+  /**
+   * Sets the first day of the week used by the week presets
+   * A range the current preset produced is recomputed; one the user picked is kept
+   * @param {string} dayName - Weekday name (e.g. 'monday') as returned by /api/repos
+   */
+  setWeekStartDay(dayName) {
+    const day = WEEKDAY_NAMES.indexOf(String(dayName).toLowerCase());
+    if (day === -1 || day === weekStartDay) return;
+    
+    const previous = getDateRangeForPreset(this.currentFilters.datePreset);
+    weekStartDay = day;
+    
+    if (this.currentFilters.searchMode === 'day' || !previous ||
+        previous.from !== this.currentFilters.from || previous.to !== this.currentFilters.to) {
+      return;
+    }
+    
+    const range = getDateRangeForPreset(this.currentFilters.datePreset);
+    this.currentFilters.from = range.from;
+    this.currentFilters.to = range.to;
+    
+    const fromInput = document.getElementById('eoyr-date-from');
+    const toInput = document.getElementById('eoyr-date-to');
+    if (fromInput) fromInput.value = range.from;
+    if (toInput) toInput.value = range.to;
+  }
+  
+  /**
+   * Sets a single filter value and triggers data refresh
+   * @param {string} key - Filter name (e.g. 'author')
+   * @param {*} value - New value
+   */
+  setFilter(key, value) {
+    this.currentFilters[key] = value;
+    this.updateURL();
+    this.applyFilters();
+  }
+  
   /**
    * Applies current filters and triggers data refresh
    */
@@ -588,6 +720,8 @@ if (document.readyState === 'loading') {
 // Export for use in other scripts
 window.eoyrFilters = {
   getFilters: () => filterManager ? filterManager.getFilters() : null,
+  setFilter: (key, value) => filterManager?.setFilter(key, value),
+  setWeekStartDay: dayName => filterManager?.setWeekStartDay(dayName),
   FilterManager: FilterManager
 };
 
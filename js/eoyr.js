@@ -15,43 +15,140 @@ const API_BASE_URL = window.API_BASE_URL || 'https://eoyr-dashboard.corehomeweb2
 const API_ENDPOINTS = {
   repos: '/api/repos',
   commits: '/api/commits',
+  pulls: '/api/pulls',
+  issues: '/api/issues',
+  releases: '/api/releases',
+  contributors: '/api/contributors',
   weeks: '/api/weeks',
+  export: '/api/export',
+  summary: '/api/summary',
   weekDetail: (weekId) => `/api/weeks/${weekId}`
 };
+const COMMITS_PAGE_SIZE = 150; // Commits per /api/commits page; more load on scroll
+// Directory of JSON files from scripts/build-local-data.mjs, read instead of the worker when set
+const API_STATIC_DIR = window.API_STATIC_DIR || null;
+const API_KEY_STORAGE_KEY = 'eoyr-api-key'; // localStorage key holding the dashboard API key
 
 /**
- * Fetches data from API
+ * Gets the API key sent with API requests
+ * Set window.API_KEY before this script loads, or store one with setApiKey
+ * @returns {string|null} API key
+ */
+function getApiKey() {
+  if (window.API_KEY) return window.API_KEY;
+  try {
+    return localStorage.getItem(API_KEY_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores (or clears) the API key used for API requests
+ * @param {string} key - API key, empty to clear
+ */
+function setApiKey(key) {
+  try {
+    if (key) {
+      localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    } else {
+      localStorage.removeItem(API_KEY_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Could not store API key:', error);
+  }
+}
+
+/**
+ * Browser time zone, sent as tz so the worker groups commits by the visitor's local dates
+ */
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Sends a GET request to the API with the dashboard's credentials
  * @param {string} endpoint - API endpoint
- * @param {Object} params - Query parameters
- * @returns {Promise<Object>} API response
+ * @param {Object} params - Query parameters (empty values are left out)
+ * @param {string} accept - Accept header
+ * @param {Object|null} body - JSON body; sends a POST when given
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} With a status property when the API answers with an error
  */
-async function fetchAPI(endpoint, params = {}) {
+async function requestAPI(endpoint, params = {}, accept = 'application/json', body = null) {
+  if (API_STATIC_DIR) {
+    return requestStaticAPI(endpoint, params, accept, body);
+  }
+  
   // Construct full URL
   const baseUrl = API_BASE_URL || window.location.origin;
   const url = new URL(endpoint, baseUrl);
   
-  Object.entries(params).forEach(([key, value]) => {
+  Object.entries({ tz: BROWSER_TIME_ZONE, ...params }).forEach(([key, value]) => {
     if (value !== null && value !== undefined && value !== '') {
       url.searchParams.set(key, value);
     }
   });
   
+  console.log('Fetching:', url.toString()); // Debug log
+  const apiKey = getApiKey();
+  const response = await fetch(url.toString(), {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      'Accept': accept,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    mode: 'cors', // Explicitly enable CORS
+    // 'include' sends the session cookie cross-origin (needs ALLOWED_ORIGINS on the worker)
+    credentials: window.API_CREDENTIALS || 'same-origin'
+  });
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('API error response:', response.status, errorText);
+    const error = new Error(`API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  return response;
+}
+
+/**
+ * Reads an endpoint from the static files in API_STATIC_DIR
+ * Commits have one file per groupBy; every other file is one snapshot of its
+ * endpoint, so the remaining query parameters are ignored (the controls that
+ * set them are disabled, see disableStaticModeControls)
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {string} accept - Accept header
+ * @param {Object|null} body - JSON body (POST endpoints have no static file)
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} With a status property when there is no file for the endpoint
+ */
+async function requestStaticAPI(endpoint, params, accept, body) {
+  const file = endpoint === API_ENDPOINTS.commits ? `${endpoint}/${params.groupBy || 'week'}` : endpoint;
+  const url = new URL(`${API_STATIC_DIR.replace(/\/$/, '')}${file}.json`, window.location.href);
+  const response = body ? null : await fetch(url.toString(), { headers: { 'Accept': accept } });
+  
+  if (!response || !response.ok) {
+    const error = new Error(`No static data for ${endpoint}`);
+    error.status = response ? response.status : 404;
+    throw error;
+  }
+  
+  return response;
+}
+
+/**
+ * Fetches data from API
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} API response
+ */
+async function fetchAPI(endpoint, params = {}) {
   try {
-    console.log('Fetching:', url.toString()); // Debug log
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-      mode: 'cors' // Explicitly enable CORS
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('API error response:', response.status, errorText);
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-    
+    const response = await requestAPI(endpoint, params, 'application/json');
     const data = await response.json();
     console.log('API response:', data); // Debug log
     return data;
@@ -67,6 +164,12 @@ async function fetchAPI(endpoint, params = {}) {
  */
 async function fetchRepos() {
   const data = await fetchAPI(API_ENDPOINTS.repos);
+  
+  // Week presets follow the week start the worker groups by
+  if (data.weekStartDay) {
+    window.eoyrFilters?.setWeekStartDay(data.weekStartDay);
+  }
+  
   return data.repos || [];
 }
 
@@ -91,15 +194,34 @@ async function fetchWeeks(filters = {}) {
     params.repo = filters.repos.join(',');
   }
   
+  if (filters.branch) params.branch = filters.branch;
+  
   return await fetchAPI(API_ENDPOINTS.weeks, params);
 }
 
 /**
  * Fetches commits data with filters (new endpoint with full commit messages)
  * @param {Object} filters - Filter object
+ * @param {Object} page - Pagination ({ limit, cursor }); omit for every commit at once
  * @returns {Promise<Object>} Commits data grouped by day/week/month/year
  */
-async function fetchCommits(filters = {}) {
+async function fetchCommits(filters = {}, page = {}) {
+  const params = getCommitParams(filters);
+  
+  // Pagination
+  if (page.limit) params.limit = page.limit;
+  if (page.cursor) params.cursor = page.cursor;
+  
+  return await fetchAPI(API_ENDPOINTS.commits, params);
+}
+
+/**
+ * Builds the /api/commits query parameters for a filter object
+ * Also used by the export so a download matches the commits on screen
+ * @param {Object} filters - Filter object
+ * @returns {Object} Query parameters
+ */
+function getCommitParams(filters = {}) {
   const params = {};
   
   // Group by parameter
@@ -126,7 +248,163 @@ async function fetchCommits(filters = {}) {
   // Search
   if (filters.search) params.search = filters.search;
   
-  return await fetchAPI(API_ENDPOINTS.commits, params);
+  // Author (from the contributors panel)
+  if (filters.author) params.author = filters.author;
+  
+  // Branches ('*' for every branch or comma-separated names; omitted uses the configured branches)
+  if (filters.branch) params.branch = filters.branch;
+  
+  // Commit type (Conventional Commits type, or 'breaking')
+  if (filters.type) params.type = filters.type;
+  
+  // Line stats (additions/deletions) only when turned on; they cost a request per uncached commit
+  if (filters.stats) params.include = 'stats';
+  
+  return params;
+}
+
+/**
+ * Downloads the commits matching the filters as a file
+ * @param {Object} filters - Filter object
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ */
+async function downloadExport(filters = {}, format = 'csv') {
+  const params = { ...getCommitParams(filters), format: format };
+  const response = await requestAPI(API_ENDPOINTS.export, params, '*/*');
+  const blob = await response.blob();
+  
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `commits-${params.from || 'all'}-to-${params.to || 'today'}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Fetches pull requests with filters (same filter object as fetchCommits)
+ * @param {Object} filters - Filter object
+ * @returns {Promise<Object>} Pull requests grouped by day/week/month/year
+ */
+async function fetchPulls(filters = {}) {
+  const params = {};
+  
+  params.groupBy = filters.groupBy || 'week';
+  
+  if (filters.searchMode === 'day' && filters.day) {
+    params.from = filters.day;
+    params.to = filters.day;
+  } else {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  
+  if (filters.repos && filters.repos.length > 0) {
+    params.repo = filters.repos.join(',');
+  }
+  
+  if (filters.state) params.state = filters.state;
+  if (filters.sortBy) params.sortBy = filters.sortBy;
+  if (filters.sortOrder) params.sortOrder = filters.sortOrder;
+  if (filters.search) params.search = filters.search;
+  
+  return await fetchAPI(API_ENDPOINTS.pulls, params);
+}
+
+/**
+ * Fetches issues opened/closed per group with filters (same filter object as fetchCommits)
+ * @param {Object} filters - Filter object
+ * @returns {Promise<Object>} Issues grouped by day/week/month/year
+ */
+async function fetchIssues(filters = {}) {
+  const params = {};
+  
+  params.groupBy = filters.groupBy || 'week';
+  
+  if (filters.searchMode === 'day' && filters.day) {
+    params.from = filters.day;
+    params.to = filters.day;
+  } else {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  
+  if (filters.repos && filters.repos.length > 0) {
+    params.repo = filters.repos.join(',');
+  }
+  
+  if (filters.sortOrder) params.sortOrder = filters.sortOrder;
+  
+  return await fetchAPI(API_ENDPOINTS.issues, params);
+}
+
+/**
+ * Fetches releases with their changelogs, grouped like the commit list
+ * @param {Object} filters - Filter object
+ * @returns {Promise<Object>} Releases grouped by day/week/month/year
+ */
+async function fetchReleases(filters = {}) {
+  const params = {};
+  
+  params.groupBy = filters.groupBy || 'week';
+  
+  if (filters.searchMode === 'day' && filters.day) {
+    params.from = filters.day;
+    params.to = filters.day;
+  } else {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  
+  if (filters.repos && filters.repos.length > 0) {
+    params.repo = filters.repos.join(',');
+  }
+  
+  if (filters.sortOrder) params.sortOrder = filters.sortOrder;
+  
+  return await fetchAPI(API_ENDPOINTS.releases, params);
+}
+
+/**
+ * Fetches the contributor leaderboard for the current date range and repos
+ * @param {Object} filters - Filter object
+ * @returns {Promise<Object>} Contributors data
+ */
+async function fetchContributors(filters = {}) {
+  const params = {};
+  
+  if (filters.searchMode === 'day' && filters.day) {
+    params.from = filters.day;
+    params.to = filters.day;
+  } else {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  
+  if (filters.repos && filters.repos.length > 0) {
+    params.repo = filters.repos.join(',');
+  }
+  
+  return await fetchAPI(API_ENDPOINTS.contributors, params);
+}
+
+/**
+ * Fetches the narrative summary of a group's commits
+ * @param {Array} commits - Commits of the group (as returned by fetchCommits)
+ * @returns {Promise<Object>} Summary response ({ summary, provider, cached })
+ */
+async function fetchSummary(commits) {
+  const response = await requestAPI(API_ENDPOINTS.summary, {}, 'application/json', {
+    commits: commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.message,
+      repo: commit.repo,
+      author: commit.author,
+      date: commit.date
+    }))
+  });
+  return await response.json();
 }
 
 /**
@@ -148,19 +426,56 @@ function formatDateRange(startDate, endDate) {
   const start = new Date(startDate);
   const end = new Date(endDate);
   
-  const options = { month: 'short', day: 'numeric', year: 'numeric' };
+  // YYYY-MM-DD parses as UTC midnight, so read it back in UTC to keep the same date
+  const options = { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
   const startStr = start.toLocaleDateString('en-US', options);
   const endStr = end.toLocaleDateString('en-US', options);
   
   return `${startStr} - ${endStr}`;
 }
 
+/**
+ * Merges commit groups with the periods that only had issue or release activity
+ * While further commit pages follow, periods past the last commit group of this
+ * page are left for the page that reaches them
+ * @param {Object} data - /api/commits response (one page)
+ * @param {Array<Object>} activityGroups - Issue and release groups, each indexed by group ID
+ * @param {Set<string>} renderedIds - IDs of groups rendered by earlier pages
+ * @returns {Array} Groups in the response's sort order; activity-only groups have no commits
+ */
+function mergeActivityGroups(data, activityGroups, renderedIds) {
+  const commitGroups = data.groups || [];
+  const descending = (data.filters?.sortOrder || 'desc') === 'desc';
+  const commitIds = new Set(commitGroups.map(group => group.id));
+  const lastId = commitGroups.length > 0 ? commitGroups[commitGroups.length - 1].id : null;
+  const isInPage = id => !data.nextCursor || lastId === null || (descending ? id >= lastId : id <= lastId);
+  
+  const activityOnly = new Map();
+  activityGroups.forEach(groupsById => {
+    Object.values(groupsById).forEach(group => {
+      if (commitIds.has(group.id) || renderedIds.has(group.id) || !isInPage(group.id)) return;
+      const entry = activityOnly.get(group.id) || { id: group.id, label: group.label, repos: [], commitCount: 0, commits: [] };
+      entry.repos = [...new Set([...entry.repos, ...group.repos])];
+      entry.repoCount = entry.repos.length;
+      activityOnly.set(group.id, entry);
+    });
+  });
+  
+  return [...commitGroups, ...activityOnly.values()].sort((a, b) =>
+    descending ? b.id.localeCompare(a.id) : a.id.localeCompare(b.id)
+  );
+}
+
 /**
  * Renders commit groups with full commit messages
  * @param {Object} data - API response with groups array
  * @param {Object} sortOptions - Sort options (sortBy, sortOrder)
+ * @param {Object} extras - Optional data shown inside each group
+ * @param {Object} extras.issues - /api/issues response, shown under each group header
+ * @param {Object} extras.releases - /api/releases response, shown as milestones
+ * @param {boolean} extras.append - Add a further page to the groups already rendered
  */
-function renderCommitGroups(data, sortOptions = {}) {
+function renderCommitGroups(data, sortOptions = {}, extras = {}) {
   console.log('renderCommitGroups called with', data.totalGroups, 'groups,', data.totalCommits, 'commits');
   const container = document.getElementById('eoyr-week-list');
   if (!container) {
@@ -168,12 +483,30 @@ function renderCommitGroups(data, sortOptions = {}) {
     return;
   }
   
+  const existingCube = extras.append ? container.querySelector('.static-cube') : null;
+  
   // Clear existing content
-  container.innerHTML = '';
+  if (!existingCube) {
+    container.innerHTML = '';
+  }
+  
+  // Index issue and release groups by ID so they can be matched to commit groups
+  const issueGroups = {};
+  (extras.issues?.groups || []).forEach(issueGroup => {
+    issueGroups[issueGroup.id] = issueGroup;
+  });
+  const releaseGroups = {};
+  (extras.releases?.groups || []).forEach(releaseGroup => {
+    releaseGroups[releaseGroup.id] = releaseGroup;
+  });
   
-  const groups = data.groups || [];
+  // Periods with issues or releases but no commits get a group of their own
+  const renderedIds = new Set(existingCube
+    ? [...existingCube.querySelectorAll('[data-group-commits]')].map(element => element.getAttribute('data-group-commits'))
+    : []);
+  const groups = mergeActivityGroups(data, [issueGroups, releaseGroups], renderedIds);
   
-  if (groups.length === 0) {
+  if (groups.length === 0 && !existingCube) {
     console.log('No groups to display');
     container.innerHTML = `
       <div class="eoyr-empty-state">
@@ -186,12 +519,27 @@ function renderCommitGroups(data, sortOptions = {}) {
   
   console.log('Rendering', groups.length, 'groups');
   
-  // Create static-cube wrapper matching stories.html
-  const staticCube = document.createElement('div');
+  // Create static-cube wrapper matching stories.html (or keep adding to the rendered one)
+  const staticCube = existingCube || document.createElement('div');
   staticCube.className = 'static-cube';
+  const newHeaders = [];
   
   // Render each group
   groups.forEach((group, index) => {
+    // A group split across pages continues in the container rendered for it
+    const continuedContainer = existingCube?.querySelector(`[data-group-commits="${group.id}"]`);
+    if (continuedContainer) {
+      group.commits.forEach(commit => {
+        continuedContainer.appendChild(renderCommitRow(commit));
+      });
+      const summarySection = document.getElementById(`summary-${group.id}`);
+      if (summarySection) {
+        const loadedCommits = JSON.parse(summarySection.getAttribute('data-commits') || '[]');
+        summarySection.setAttribute('data-commits', JSON.stringify(loadedCommits.concat(group.commits)));
+      }
+      return;
+    }
+    
     // Group header block
     const headerWrapper = document.createElement('div');
     headerWrapper.className = 'block-wrapper';
@@ -200,7 +548,7 @@ function renderCommitGroups(data, sortOptions = {}) {
     headerBlock.className = 'static-block';
     
     // Add cube-top SVG only for first block
-    if (index === 0) {
+    if (index === 0 && !existingCube) {
       const cubeTop = document.createElement('div');
       cubeTop.className = 'cube-top';
       cubeTop.innerHTML = `<div class="cube-top-svg w-embed">
@@ -226,9 +574,12 @@ function renderCommitGroups(data, sortOptions = {}) {
         <div class="group-header-stats">
           <span class="group-stat">${group.commitCount} ${group.commitCount === 1 ? 'commit' : 'commits'}</span>
           <span class="group-stat">${group.repoCount} ${group.repoCount === 1 ? 'project' : 'projects'}</span>
-          <button class="summary-button" onclick="toggleSummary('${group.id}', event)" title="View AI Summary">
+          ${group.additions !== undefined ? `<span class="group-stat group-line-stats"><span class="line-additions">+${group.additions.toLocaleString()}</span> <span class="line-deletions">−${group.deletions.toLocaleString()}</span></span>` : ''}
+          ${issueGroups[group.id] ? `<span class="group-stat">${issueGroups[group.id].openedCount} opened / ${issueGroups[group.id].closedCount} closed</span>` : ''}
+          ${releaseGroups[group.id] ? `<span class="group-stat">🏁 ${releaseGroups[group.id].releaseCount} ${releaseGroups[group.id].releaseCount === 1 ? 'release' : 'releases'}</span>` : ''}
+          ${group.commits.length > 0 ? `<button class="summary-button" onclick="toggleSummary('${group.id}', event)" title="View AI Summary">
             📊 Summary
-          </button>
+          </button>` : ''}
         </div>
       </div>
       <div class="block-actions-wrapper">
@@ -242,6 +593,7 @@ function renderCommitGroups(data, sortOptions = {}) {
     `;
     
     headerBlock.appendChild(headerContent);
+    newHeaders.push(headerContent);
     
     // Add summary section (initially hidden)
     const summarySection = document.createElement('div');
@@ -260,74 +612,197 @@ function renderCommitGroups(data, sortOptions = {}) {
     commitsContainer.className = 'commits-container';
     commitsContainer.setAttribute('data-group-commits', group.id);
     
+    // Releases shipped in this period
+    if (releaseGroups[group.id]) {
+      releaseGroups[group.id].releases.forEach(release => {
+        commitsContainer.appendChild(renderReleaseMilestone(release));
+      });
+    }
+    
+    // Issues opened/closed in this period
+    if (issueGroups[group.id]) {
+      commitsContainer.appendChild(renderIssuesSection(issueGroups[group.id]));
+    }
+    
     // Render individual commits
     group.commits.forEach(commit => {
-      const commitWrapper = document.createElement('div');
-      commitWrapper.className = 'block-wrapper commit-row';
-      
-      const commitBlock = document.createElement('div');
-      commitBlock.className = 'static-block commit-block';
-      
-      const commitContent = document.createElement('a');
-      commitContent.className = 'block-content commit-content w-inline-block';
-      commitContent.href = commit.url;
-      commitContent.target = '_blank';
-      commitContent.rel = 'noopener noreferrer';
-      
-      // Format commit date
-      const commitDate = new Date(commit.date);
-      const dateStr = commitDate.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-      
-      // Truncate long messages
-      const maxMessageLength = 100;
-      const messageFirstLine = commit.messageFirstLine || commit.message.split('\n')[0];
-      const truncatedMessage = messageFirstLine.length > maxMessageLength 
-        ? messageFirstLine.substring(0, maxMessageLength) + '...'
-        : messageFirstLine;
-      
-      commitContent.innerHTML = `
-        <div class="block-title-wrapper commit-details">
-          <div class="commit-sha">
-            <span class="sha-badge">${commit.shortSha}</span>
-          </div>
-          <div class="commit-message-wrapper">
-            <h4 class="block-title commit-message">${escapeHtml(truncatedMessage)}</h4>
-          </div>
-          <div class="commit-meta">
-            <span class="commit-repo">${commit.repo}</span>
-            <span class="commit-author">${escapeHtml(commit.author)}</span>
-            <span class="commit-date">${dateStr}</span>
-          </div>
-        </div>
-        <div class="block-actions-wrapper">
-          <div class="icon-3 w-embed">
-            <svg viewbox="0 0 25 25">
-              <path d="M0 13.486h21.178l-9.602 9.591 1.413 1.412L23.591 13.9l.001.001L25 12.496l-.002-.002H25l-1.413-1.412h-.002L12.989.5l-1.407 1.406 9.596 9.584H0v1.996z" fill="currentColor" fill-rule="evenodd"></path>
-            </svg>
-          </div>
-        </div>
-      `;
-      
-      commitBlock.appendChild(commitContent);
-      commitWrapper.appendChild(commitBlock);
-      commitsContainer.appendChild(commitWrapper);
+      commitsContainer.appendChild(renderCommitRow(commit));
     });
     
     staticCube.appendChild(commitsContainer);
   });
   
-  container.appendChild(staticCube);
+  if (!existingCube) {
+    container.appendChild(staticCube);
+  }
   
   // Add click handlers for group toggling
-  setupGroupToggle();
+  setupGroupToggle(newHeaders);
+  
+  if (existingCube) {
+    // Groups from later pages start collapsed like the first page
+    newHeaders.forEach(header => {
+      const groupId = header.getAttribute('data-group-id');
+      staticCube.querySelector(`[data-group-commits="${groupId}"]`)?.classList.add('collapsed');
+      header.querySelector('.group-toggle')?.classList.add('rotated');
+    });
+    updateToggleAllButton();
+  } else {
+    // Setup the Expand All / Collapse All toggle button (groups start collapsed)
+    setupToggleAll();
+  }
+}
+
+/**
+ * Renders a single commit row
+ * @param {Object} commit - Formatted commit from /api/commits
+ * @returns {HTMLElement} Commit row element
+ */
+function renderCommitRow(commit) {
+  const commitWrapper = document.createElement('div');
+  commitWrapper.className = 'block-wrapper commit-row';
+  
+  const commitBlock = document.createElement('div');
+  commitBlock.className = 'static-block commit-block';
+  
+  // Commits read from a clone without a known origin (build-local-data.mjs) have no page to link to
+  const commitContent = document.createElement(commit.url ? 'a' : 'div');
+  commitContent.className = 'block-content commit-content w-inline-block';
+  if (commit.url) {
+    commitContent.href = commit.url;
+    commitContent.target = '_blank';
+    commitContent.rel = 'noopener noreferrer';
+  }
+  
+  // Format commit date
+  const commitDate = new Date(commit.date);
+  const dateStr = commitDate.toLocaleDateString('en-US', { 
+    month: 'short', 
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  // Truncate long messages
+  const maxMessageLength = 100;
+  const messageFirstLine = commit.messageFirstLine || commit.message.split('\n')[0];
+  const truncatedMessage = messageFirstLine.length > maxMessageLength 
+    ? messageFirstLine.substring(0, maxMessageLength) + '...'
+    : messageFirstLine;
+  
+  commitContent.innerHTML = `
+    <div class="block-title-wrapper commit-details">
+      <div class="commit-sha">
+        <span class="sha-badge">${commit.shortSha}</span>
+      </div>
+      <div class="commit-message-wrapper">
+        <h4 class="block-title commit-message">${escapeHtml(truncatedMessage)}</h4>
+      </div>
+      <div class="commit-meta">
+        <span class="commit-repo">${commit.repo}</span>
+        ${commit.pullRequest ? `<span class="commit-pr" title="${escapeHtml(commit.pullRequest.title).replace(/"/g, '&quot;')}">#${commit.pullRequest.number}</span>` : ''}
+        ${commit.type && commit.type !== 'other' ? `<span class="commit-type">${escapeHtml(commit.scope ? `${commit.type}(${commit.scope})` : commit.type)}</span>` : ''}
+        ${commit.breaking ? '<span class="commit-breaking" title="Breaking change">BREAKING</span>' : ''}
+        ${commit.branches ? `<span class="commit-branches" title="${escapeHtml(commit.branches.join(', ')).replace(/"/g, '&quot;')}">${escapeHtml(commit.branches.length === 1 ? commit.branches[0] : `${commit.branches.length} branches`)}</span>` : ''}
+        <span class="commit-author">${escapeHtml(commit.author)}</span>
+        ${commit.additions !== undefined ? `<span class="commit-line-stats" title="${commit.filesChanged} ${commit.filesChanged === 1 ? 'file' : 'files'} changed"><span class="line-additions">+${commit.additions}</span> <span class="line-deletions">−${commit.deletions}</span></span>` : ''}
+        <span class="commit-date">${dateStr}</span>
+      </div>
+    </div>
+    ${commit.url ? `<div class="block-actions-wrapper">
+      <div class="icon-3 w-embed">
+        <svg viewbox="0 0 25 25">
+          <path d="M0 13.486h21.178l-9.602 9.591 1.413 1.412L23.591 13.9l.001.001L25 12.496l-.002-.002H25l-1.413-1.412h-.002L12.989.5l-1.407 1.406 9.596 9.584H0v1.996z" fill="currentColor" fill-rule="evenodd"></path>
+        </svg>
+      </div>
+    </div>` : ''}
+  `;
   
-  // Setup the Expand All / Collapse All toggle button (groups start collapsed)
-  setupToggleAll();
+  commitBlock.appendChild(commitContent);
+  commitWrapper.appendChild(commitBlock);
+  return commitWrapper;
+}
+
+/**
+ * Renders the issues section shown under a group header
+ * @param {Object} issueGroup - Group from the /api/issues response
+ * @returns {HTMLElement} Issues section element
+ */
+function renderIssuesSection(issueGroup) {
+  const section = document.createElement('div');
+  section.className = 'group-issues-section';
+  
+  const items = issueGroup.issues.map(issue => {
+    const status = issue.closedInGroup ? 'closed' : (issue.state === 'open' ? 'open' : 'opened');
+    return `
+      <li class="group-issue">
+        <span class="issue-status issue-status-${status}">${status}</span>
+        <a href="${issue.url}" target="_blank" rel="noopener noreferrer">${issue.repo}#${issue.number}</a>
+        <span class="issue-title">${escapeHtml(issue.title)}</span>
+      </li>
+    `;
+  }).join('');
+  
+  section.innerHTML = `
+    <h5 class="group-issues-title">🐛 Issues</h5>
+    <div class="group-issues-stats">
+      <span class="group-stat">${issueGroup.openedCount} opened</span>
+      <span class="group-stat">${issueGroup.closedCount} closed</span>
+      <span class="group-stat">${issueGroup.stillOpenCount} still open</span>
+    </div>
+    <ul class="group-issues-list">${items}</ul>
+  `;
+  
+  return section;
+}
+
+/**
+ * Renders a release as a milestone row with its categorized changelog
+ * @param {Object} release - Release from the /api/releases response
+ * @returns {HTMLElement} Milestone element
+ */
+function renderReleaseMilestone(release) {
+  const milestone = document.createElement('div');
+  milestone.className = `release-milestone${release.prerelease ? ' prerelease' : ''}`;
+  
+  const categoryTitles = {
+    features: '🚀 Features & Improvements',
+    fixes: '🔧 Bug Fixes',
+    docs: '📚 Documentation',
+    cleanup: '🗑️ Cleanup & Refactoring',
+    other: '📌 Other Changes'
+  };
+  
+  const changelogHTML = Object.entries(categoryTitles)
+    .filter(([category]) => release.changelog[category]?.length > 0)
+    .map(([category, title]) => `
+      <div class="summary-category">
+        <h5 class="summary-category-title">${title} (${release.changelog[category].length})</h5>
+        <ul class="summary-list">
+          ${release.changelog[category].map(commit => `<li>${escapeHtml(commit.messageFirstLine)}</li>`).join('')}
+        </ul>
+      </div>
+    `).join('');
+  
+  const releaseDate = new Date(release.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  
+  milestone.innerHTML = `
+    <div class="release-milestone-header">
+      <span class="release-marker">🏁</span>
+      <a class="release-name" href="${release.url}" target="_blank" rel="noopener noreferrer">${escapeHtml(release.name)}</a>
+      <span class="commit-repo">${release.repo}</span>
+      <span class="commit-date">${releaseDate}</span>
+      ${release.prerelease ? '<span class="release-badge">pre-release</span>' : ''}
+    </div>
+    <details class="release-changelog">
+      <summary>${release.commitCount === null
+        ? 'Changelog not loaded yet'
+        : `Changelog: ${release.commitCount} ${release.commitCount === 1 ? 'commit' : 'commits'}`}${release.previousTag ? ` since ${escapeHtml(release.previousTag)}` : ''}</summary>
+      ${changelogHTML}
+    </details>
+  `;
+  
+  return milestone;
 }
 
 /**
@@ -343,9 +818,10 @@ function escapeHtml(text) {
 
 /**
  * Sets up click handlers for group expand/collapse
+ * @param {Iterable<HTMLElement>} headers - Group headers to bind (default: all on the page)
  */
-function setupGroupToggle() {
-  document.querySelectorAll('.group-header').forEach(header => {
+function setupGroupToggle(headers = document.querySelectorAll('.group-header')) {
+  headers.forEach(header => {
     header.addEventListener('click', (e) => {
       // Ignore clicks on the summary button
       if (e.target.closest('.summary-button')) {
@@ -390,6 +866,48 @@ function setupToggleAll() {
   });
 }
 
+/**
+ * Disables the filter controls static data can't answer (everything but Group By
+ * and Expand All), so the list never claims to be filtered when it isn't
+ */
+function disableStaticModeControls() {
+  const controls = document.querySelectorAll(
+    '.eoyr-filters input, .eoyr-filters select:not(#eoyr-group-by), .eoyr-filters button:not(#eoyr-toggle-all)'
+  );
+  controls.forEach(control => {
+    control.disabled = true;
+    control.closest('.eoyr-filter-group')?.classList.add('eoyr-static-disabled');
+  });
+  document.querySelector('.eoyr-project-filter')?.classList.add('eoyr-static-disabled');
+}
+
+/**
+ * Sets up the Export button to download the commits currently shown
+ */
+function setupExportButton() {
+  const exportBtn = document.getElementById('eoyr-export');
+  if (!exportBtn) return;
+  
+  exportBtn.addEventListener('click', async () => {
+    // The last loaded view, so the file matches the list even while new filters are debouncing
+    const filters = commitPagination?.filters || window.eoyrFilters?.getFilters();
+    if (!filters) return;
+    
+    exportBtn.disabled = true;
+    exportBtn.textContent = 'Exporting...';
+    try {
+      await downloadExport(filters, 'csv');
+      exportBtn.textContent = 'Export';
+    } catch (error) {
+      console.error('Error exporting commits:', error);
+      exportBtn.textContent = 'Export Failed';
+      setTimeout(() => { exportBtn.textContent = 'Export'; }, 3000);
+    } finally {
+      exportBtn.disabled = false;
+    }
+  });
+}
+
 /**
  * Checks if all groups are currently collapsed
  * @returns {boolean}
@@ -521,7 +1039,8 @@ function renderWeekRows(weeks, sortOptions = {}, searchMode = 'range') {
       displayDate = date.toLocaleDateString('en-US', { 
         month: 'short', 
         day: 'numeric', 
-        year: 'numeric' 
+        year: 'numeric',
+        timeZone: 'UTC'
       });
     }
     
@@ -594,7 +1113,52 @@ function showError(message) {
 }
 
 /**
- * Populates repo filter with checkboxes
+ * Shows a notice above the commit list when the API could not load every repo
+ * @param {Object} data - Commits API response
+ */
+function renderIncompleteNotice(data) {
+  const container = document.getElementById('eoyr-week-list');
+  if (!container || !data || data.complete !== false) return;
+  
+  const notice = document.createElement('div');
+  notice.className = 'eoyr-incomplete-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = data.rateLimited
+    ? `API rate limit reached - missing data for ${data.failedRepos.join(', ')}. Try again in a few minutes.`
+    : `Some data could not be loaded for ${data.failedRepos.join(', ')}. Results may be incomplete.`;
+  container.prepend(notice);
+}
+
+/**
+ * Shows a form asking for an API key when the API requires authentication
+ * @param {boolean} rejected - True if a stored key was rejected
+ */
+function showAuthRequired(rejected = false) {
+  const container = document.getElementById('eoyr-week-list');
+  if (!container) return;
+  
+  container.innerHTML = `
+    <div class="eoyr-empty-state">
+      <h3>Sign in required</h3>
+      <p>${rejected ? 'The saved API key was not accepted.' : 'This dashboard needs an API key.'}</p>
+      <form class="eoyr-auth-form">
+        <input type="password" class="eoyr-filter-input" placeholder="API key" aria-label="API key" autocomplete="off" required>
+        <button type="submit" class="eoyr-filter-button">Sign in</button>
+      </form>
+    </div>
+  `;
+  
+  container.querySelector('.eoyr-auth-form').addEventListener('submit', event => {
+    event.preventDefault();
+    setApiKey(event.target.querySelector('input').value.trim());
+    location.reload();
+  });
+}
+
+/**
+ * Populates repo filter with checkboxes, grouped by owner
+ * Checkbox values are owner/name keys; an owner heading is shown when the
+ * dashboard spans more than one owner
  * @param {Array} repos - Array of repo objects
  */
 async function populateRepoFilter(repos) {
@@ -608,42 +1172,75 @@ async function populateRepoFilter(repos) {
   const currentFilters = window.eoyrFilters?.getFilters();
   const selectedRepos = currentFilters?.repos || [];
   
-  // Create checkbox for each repo
+  // Group repos by owner, keeping the order owners first appear in
+  const reposByOwner = new Map();
   repos.forEach(repo => {
-    const isSelected = selectedRepos.includes(repo.name);
-    
-    const label = document.createElement('label');
-    label.className = `eoyr-project-checkbox${isSelected ? ' active' : ''}`;
-    label.setAttribute('data-repo', repo.name);
-    
-    label.innerHTML = `
-      <input type="checkbox" value="${repo.name}" ${isSelected ? 'checked' : ''}>
-      <span class="checkbox-indicator">
-        <svg viewBox="0 0 12 12" fill="none">
-          <path d="M2 6l3 3 5-6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-        </svg>
-      </span>
-      <span class="project-name">${repo.displayName || repo.name}</span>
-    `;
-    
-    // Add click handler
-    label.addEventListener('click', (e) => {
-      e.preventDefault();
-      const checkbox = label.querySelector('input[type="checkbox"]');
-      checkbox.checked = !checkbox.checked;
-      label.classList.toggle('active', checkbox.checked);
-      
-      updateSelectedProjects();
-      triggerRepoFilterChange();
-    });
+    const owner = repo.owner || '';
+    if (!reposByOwner.has(owner)) {
+      reposByOwner.set(owner, []);
+    }
+    reposByOwner.get(owner).push(repo);
+  });
+  const showOwners = reposByOwner.size > 1;
+  
+  // Create checkbox for each repo
+  reposByOwner.forEach((ownerRepos, owner) => {
+    if (showOwners) {
+      const heading = document.createElement('div');
+      heading.className = 'eoyr-project-owner';
+      heading.textContent = owner;
+      container.appendChild(heading);
+    }
     
-    container.appendChild(label);
+    ownerRepos.forEach(repo => appendRepoCheckbox(container, repo, selectedRepos));
   });
   
   // Update selected projects display
   updateSelectedProjects();
 }
 
+/**
+ * Adds the filter checkbox of one repo
+ * Links saved before repos were keyed by owner/name select by plain name
+ * @param {HTMLElement} container - Checkbox container
+ * @param {Object} repo - Repo object from /api/repos
+ * @param {Array<string>} selectedRepos - Currently selected repo keys
+ */
+function appendRepoCheckbox(container, repo, selectedRepos) {
+  const repoKey = repo.fullName || repo.name;
+  const isSelected = selectedRepos.includes(repoKey) || selectedRepos.includes(repo.name);
+  
+  const label = document.createElement('label');
+  label.className = `eoyr-project-checkbox${isSelected ? ' active' : ''}`;
+  label.setAttribute('data-repo', repoKey);
+  if (repo.description) {
+    label.title = repo.description;
+  }
+  
+  label.innerHTML = `
+    <input type="checkbox" value="${repoKey}" ${isSelected ? 'checked' : ''}>
+    <span class="checkbox-indicator">
+      <svg viewBox="0 0 12 12" fill="none">
+        <path d="M2 6l3 3 5-6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+      </svg>
+    </span>
+    <span class="project-name">${repo.displayName || repo.name}</span>
+  `;
+  
+  // Add click handler
+  label.addEventListener('click', (e) => {
+    e.preventDefault();
+    const checkbox = label.querySelector('input[type="checkbox"]');
+    checkbox.checked = !checkbox.checked;
+    label.classList.toggle('active', checkbox.checked);
+    
+    updateSelectedProjects();
+    triggerRepoFilterChange();
+  });
+  
+  container.appendChild(label);
+}
+
 /**
  * Updates the selected projects tag display
  */
@@ -686,6 +1283,46 @@ function updateSelectedProjects() {
   });
 }
 
+/**
+ * Renders the contributors leaderboard next to the filters
+ * Clicking an author filters the commit list to that author; clicking again clears it
+ * @param {Object} data - /api/contributors response
+ * @param {string} activeAuthor - Currently selected author id (or empty)
+ */
+function renderContributors(data, activeAuthor = '') {
+  const container = document.getElementById('eoyr-contributors');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  const contributors = data?.contributors || [];
+  if (contributors.length === 0) {
+    container.innerHTML = '<div class="eoyr-project-loading">No contributors in this range</div>';
+    return;
+  }
+  
+  contributors.forEach(contributor => {
+    const authorKey = contributor.id || contributor.email || contributor.name;
+    const isActive = activeAuthor && activeAuthor.toLowerCase() === authorKey.toLowerCase();
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `eoyr-contributor${isActive ? ' active' : ''}`;
+    button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    button.title = `${contributor.activeDays} active ${contributor.activeDays === 1 ? 'day' : 'days'} · ${contributor.repos.join(', ')}`;
+    button.innerHTML = `
+      <span class="contributor-name">${contributor.avatar ? `<img class="contributor-avatar" src="${escapeHtml(contributor.avatar).replace(/"/g, '&quot;')}" alt="" loading="lazy">` : ''}${escapeHtml(contributor.name || authorKey)}</span>
+      <span class="contributor-stats">${contributor.commitCount} ${contributor.commitCount === 1 ? 'commit' : 'commits'} · ${contributor.repoCount} ${contributor.repoCount === 1 ? 'project' : 'projects'}</span>
+    `;
+    
+    button.addEventListener('click', () => {
+      window.eoyrFilters?.setFilter('author', isActive ? '' : authorKey);
+    });
+    
+    container.appendChild(button);
+  });
+}
+
 /**
  * Triggers the repo filter change event
  */
@@ -710,6 +1347,79 @@ function triggerRepoFilterChange() {
 let loadWeeksTimeout = null;
 let currentLoadAbortController = null;
 
+// Paging state of the commit list on screen ({ filters, extras, nextCursor, loading, failed })
+let commitPagination = null;
+let commitPageObserver = null;
+
+/**
+ * Watches the end of the commit list and loads the next page when it scrolls into view
+ */
+function setupCommitPageLoader() {
+  const container = document.getElementById('eoyr-week-list');
+  if (commitPageObserver) {
+    commitPageObserver.disconnect();
+    commitPageObserver = null;
+  }
+  
+  container?.querySelector('.eoyr-load-more')?.remove();
+  if (!container || !commitPagination?.nextCursor) return;
+  
+  const sentinel = document.createElement('div');
+  sentinel.className = 'eoyr-load-more';
+  container.appendChild(sentinel);
+  
+  // After a failed page, wait for the user instead of retrying on every scroll
+  if (commitPagination.failed) {
+    sentinel.innerHTML = `<button type="button" class="eoyr-filter-button">Couldn't load more commits - retry</button>`;
+    sentinel.querySelector('button').addEventListener('click', () => {
+      commitPagination.failed = false;
+      loadMoreCommits();
+    });
+    return;
+  }
+  
+  sentinel.textContent = 'Loading more commits...';
+  
+  commitPageObserver = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadMoreCommits();
+    }
+  }, { rootMargin: '600px 0px' });
+  commitPageObserver.observe(sentinel);
+}
+
+/**
+ * Loads and appends the next page of the commit list
+ */
+async function loadMoreCommits() {
+  const pagination = commitPagination;
+  if (!pagination || !pagination.nextCursor || pagination.loading) return;
+  
+  pagination.loading = true;
+  try {
+    const data = await fetchCommits(pagination.filters, {
+      limit: COMMITS_PAGE_SIZE,
+      cursor: pagination.nextCursor
+    });
+    
+    // Filters changed while this page was loading
+    if (pagination !== commitPagination) return;
+    
+    renderCommitGroups(data, {}, { ...pagination.extras, append: true });
+    pagination.nextCursor = data.nextCursor;
+  } catch (error) {
+    console.error('Error loading more commits:', error);
+    pagination.failed = true;
+  } finally {
+    pagination.loading = false;
+  }
+  
+  if (pagination === commitPagination) {
+    // Re-creating the sentinel re-checks it, so a page that didn't fill the screen keeps loading
+    setupCommitPageLoader();
+  }
+}
+
 /**
  * Main function to load and render commits
  * Uses the new /api/commits endpoint with full commit messages
@@ -730,17 +1440,45 @@ async function loadCommits(filters = {}) {
   return new Promise((resolve) => {
     loadWeeksTimeout = setTimeout(async () => {
       console.log('loadCommits called with filters:', filters);
+      commitPagination = null;
       showLoading();
       
       currentLoadAbortController = new AbortController();
       
       try {
-        const data = await fetchCommits(filters);
+        // Issues, releases and contributors are optional - the commit list still renders if they fail to load
+        const [data, issuesData, releasesData, contributorsData] = await Promise.all([
+          fetchCommits(filters, { limit: COMMITS_PAGE_SIZE }),
+          fetchIssues(filters).catch(error => {
+            console.error('Error loading issues:', error);
+            return null;
+          }),
+          fetchReleases(filters).catch(error => {
+            console.error('Error loading releases:', error);
+            return null;
+          }),
+          fetchContributors(filters).catch(error => {
+            console.error('Error loading contributors:', error);
+            return null;
+          })
+        ]);
         console.log('Commits data received:', data);
         console.log('Total commits:', data.totalCommits);
         console.log('Total groups:', data.totalGroups);
         
-        renderCommitGroups(data);
+        renderCommitGroups(data, {}, { issues: issuesData, releases: releasesData });
+        renderIncompleteNotice(data);
+        
+        // Further pages load as the end of the list scrolls into view
+        commitPagination = {
+          filters: filters,
+          extras: { issues: issuesData, releases: releasesData },
+          nextCursor: data.nextCursor || null,
+          loading: false,
+          failed: false
+        };
+        setupCommitPageLoader();
+        renderContributors(contributorsData, filters.author);
         console.log('renderCommitGroups completed');
         resolve();
       } catch (error) {
@@ -749,7 +1487,11 @@ async function loadCommits(filters = {}) {
           return;
         }
         console.error('Error loading commits:', error);
-        showError(error.message || 'Failed to load commits data. Please try again.');
+        if (error.status === 401) {
+          showAuthRequired(!!getApiKey());
+        } else {
+          showError(error.message || 'Failed to load commits data. Please try again.');
+        }
         resolve();
       } finally {
         currentLoadAbortController = null;
@@ -768,8 +1510,22 @@ async function loadWeeks(filters = {}) {
 }
 
 /**
- * Categorizes commits by type based on commit message keywords
- * @param {Array} commits - Array of commit objects
+ * Summary category of each commit type (types not listed go to 'other')
+ * Kept in sync with COMMIT_TYPE_CATEGORIES in the worker
+ */
+const COMMIT_TYPE_CATEGORIES = {
+  feat: 'features',
+  perf: 'features',
+  fix: 'fixes',
+  docs: 'docs',
+  refactor: 'cleanup',
+  style: 'cleanup',
+  chore: 'cleanup'
+};
+
+/**
+ * Categorizes commits by their Conventional Commits type
+ * @param {Array} commits - Array of commit objects (with type)
  * @returns {Object} Categorized commits
  */
 function categorizeCommits(commits) {
@@ -781,20 +1537,9 @@ function categorizeCommits(commits) {
     other: []
   };
   
+  // The worker parses each message into a Conventional Commits type
   commits.forEach(commit => {
-    const msg = commit.message.toLowerCase();
-    
-    if (msg.includes('feat') || msg.includes('add') || msg.includes('implement') || msg.includes('create') || msg.includes('milestone')) {
-      categories.features.push(commit);
-    } else if (msg.includes('fix') || msg.includes('bug') || msg.includes('patch') || msg.includes('resolve')) {
-      categories.fixes.push(commit);
-    } else if (msg.includes('doc') || msg.includes('readme') || msg.includes('comment') || msg.includes('guide')) {
-      categories.docs.push(commit);
-    } else if (msg.includes('remove') || msg.includes('delete') || msg.includes('clean') || msg.includes('refactor')) {
-      categories.cleanup.push(commit);
-    } else {
-      categories.other.push(commit);
-    }
+    categories[COMMIT_TYPE_CATEGORIES[commit.type] || 'other'].push(commit);
   });
   
   return categories;
@@ -882,8 +1627,58 @@ function generateSimpleSummary(commits, groupId) {
     html += `</ul></div>`;
   }
   
-  // Add "View Detailed Commits" button at the bottom
-  html += `
+  html += renderSummaryActions(groupId);
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Renders the narrative summary returned by /api/summary
+ * @param {Object} summary - Summary ({ overview, keyAchievements, technicalImprovements, cleanup, impact })
+ * @param {string} groupId - The group ID for the commits
+ * @returns {string} HTML string of the summary
+ */
+function renderNarrativeSummary(summary, groupId) {
+  let html = '<div class="commit-summary">';
+  html += '<h4 class="summary-title">📝 Summary</h4>';
+  html += '<div class="summary-divider"></div>';
+  
+  if (summary.overview) {
+    html += `<p class="summary-overview">${escapeHtml(summary.overview)}</p>`;
+  }
+  
+  const sections = [
+    ['🚀 Key Achievements', summary.keyAchievements],
+    ['🔧 Technical Improvements', summary.technicalImprovements],
+    ['🗑️ Cleanup & Maintenance', summary.cleanup]
+  ];
+  sections.forEach(([title, items]) => {
+    if (!items || items.length === 0) return;
+    html += `<div class="summary-category">`;
+    html += `<h5 class="summary-category-title">${title}</h5>`;
+    html += `<ul class="summary-list">`;
+    items.forEach(item => {
+      html += `<li>${escapeHtml(item)}</li>`;
+    });
+    html += `</ul></div>`;
+  });
+  
+  if (summary.impact) {
+    html += `<p class="summary-impact"><strong>Impact:</strong> ${escapeHtml(summary.impact)}</p>`;
+  }
+  
+  html += renderSummaryActions(groupId);
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Renders the actions row at the bottom of a summary
+ * @param {string} groupId - The group ID for the commits
+ * @returns {string} HTML string of the actions
+ */
+function renderSummaryActions(groupId) {
+  return `
     <div class="summary-actions" style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid var(--eoyr-neon-green-dim);">
       <button class="view-logs-button" onclick="viewDetailedCommits('${groupId}', event)" style="
         font-family: 'Exo 2', sans-serif;
@@ -900,9 +1695,6 @@ function generateSimpleSummary(commits, groupId) {
       </button>
     </div>
   `;
-  
-  html += '</div>';
-  return html;
 }
 
 /**
@@ -945,7 +1737,7 @@ window.viewDetailedCommits = viewDetailedCommits;
  * @param {string} groupId - The group ID
  * @param {Event} event - Click event
  */
-function toggleSummary(groupId, event) {
+async function toggleSummary(groupId, event) {
   event.stopPropagation(); // Prevent group expand/collapse
   
   const summarySection = document.getElementById(`summary-${groupId}`);
@@ -961,9 +1753,19 @@ function toggleSummary(groupId, event) {
     const commitsData = summarySection.getAttribute('data-commits');
     if (commitsData) {
       const commits = JSON.parse(commitsData);
-      const summaryHTML = generateSimpleSummary(commits, groupId);
-      summarySection.innerHTML = summaryHTML;
+      summarySection.innerHTML = '<div class="commit-summary"><p class="summary-loading">Summarizing...</p></div>';
       summarySection.style.display = 'block';
+      
+      // The keyword summary stands in when the summary endpoint is unavailable
+      let summaryHTML;
+      try {
+        const data = await fetchSummary(commits);
+        summaryHTML = renderNarrativeSummary(data.summary, groupId);
+      } catch (error) {
+        console.error('Error loading summary, using keyword summary:', error);
+        summaryHTML = generateSimpleSummary(commits, groupId);
+      }
+      summarySection.innerHTML = summaryHTML;
     }
   }
 }
@@ -982,22 +1784,33 @@ async function initDashboard() {
     // Wait a bit for filter manager to initialize
     await new Promise(resolve => setTimeout(resolve, 100));
     
+    setupExportButton();
+    
     // Load repos for filter dropdown
     console.log('Fetching repos...');
     const repos = await fetchRepos();
     console.log('Repos loaded:', repos);
     await populateRepoFilter(repos);
     
+    if (API_STATIC_DIR) {
+      disableStaticModeControls();
+    }
+    
     // Get initial filters from filter manager
     const filters = window.eoyrFilters?.getFilters();
     console.log('Initial filters:', filters);
     
-    // Build effective filters with defaults
+    // Build effective filters: every filter from the URL (type, line stats, ...), with defaults
     const effectiveFilters = {
+      ...filters,
       groupBy: filters?.groupBy || 'week',
       sortBy: filters?.sortBy || 'date',
       sortOrder: filters?.sortOrder || 'desc',
       search: filters?.search || '',
+      author: filters?.author || '',
+      branch: filters?.branch || '',
+      type: filters?.type || '',
+      stats: !!filters?.stats,
       repos: filters?.repos || []
     };
     
@@ -1012,8 +1825,8 @@ async function initDashboard() {
       const sixMonthsAgo = new Date(today);
       sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
       
-      effectiveFilters.from = sixMonthsAgo.toISOString().split('T')[0];
-      effectiveFilters.to = today.toISOString().split('T')[0];
+      effectiveFilters.from = formatDate(sixMonthsAgo);
+      effectiveFilters.to = formatDate(today);
       effectiveFilters.searchMode = 'range';
     }
     
@@ -1022,6 +1835,10 @@ async function initDashboard() {
   } catch (error) {
     console.error('Error initializing dashboard:', error);
     console.error('Error stack:', error.stack);
+    if (error.status === 401) {
+      showAuthRequired(!!getApiKey());
+      return;
+    }
     showError('Failed to initialize dashboard. Please refresh the page. Error: ' + error.message);
   }
 }
@@ -1043,8 +1860,15 @@ if (document.readyState === 'loading') {
 window.eoyrDashboard = {
   fetchWeekDetail,
   fetchCommits,
+  fetchPulls,
+  fetchIssues,
+  fetchReleases,
+  fetchContributors,
+  fetchSummary,
   formatDateRange,
   fetchAPI,
+  downloadExport,
+  setApiKey,
   loadCommits,
   renderCommitGroups
 };
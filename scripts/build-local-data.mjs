@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Builds dashboard data from local git clones
+ * Runs the worker's own /api/repos, /api/weeks, /api/weeks/:weekId and
+ * /api/commits handlers with a "local" source provider that reads `git log`,
+ * and writes each response as a static JSON file (commits once per groupBy,
+ * with line stats). Point the dashboard at the output with
+ * window.API_STATIC_DIR to use it instead of the worker.
+ *
+ * Usage:
+ *   node scripts/build-local-data.mjs [--config config/repos.json] [--clones .]
+ *     [--out data] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--tz Area/City] [--branch name|*]
+ *
+ * A repo entry's clone is its "path" (relative to the config file) or
+ * <clones>/<name>. Needs Node.js 20.19 or newer.
+ */
+
+import { execFile } from 'node:child_process';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs, promisify } from 'node:util';
+import worker, { registerSourceProvider } from '../workers/github-commits.js';
+
+const run = promisify(execFile);
+
+const GIT_MAX_BUFFER = 256 * 1024 * 1024; // git log output of large histories
+const GROUP_BYS = ['day', 'week', 'month', 'year']; // Commit groupings the dashboard can switch between
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Runs a git command in a clone
+ * @param {string} dir - Clone directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} Standard output
+ */
+async function git(dir, args) {
+  const { stdout } = await run('git', ['-C', dir, ...args], { maxBuffer: GIT_MAX_BUFFER });
+  return stdout;
+}
+
+/**
+ * Turns a git remote URL into the web URL of the repo
+ * @param {string} remote - Remote URL (https, ssh or scp-style)
+ * @returns {string|null} Web URL (https://host/owner/name), null if not recognized
+ */
+function getWebUrl(remote) {
+  const match = /^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/(?:[^@/]+@)?|[^@/]+@)([^/:]+)(?::\d+)?[/:](.+?)(?:\.git)?\/?$/.exec(remote.trim());
+  return match ? `https://${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Builds the web URL of a commit for the host a clone's origin points at
+ * @param {string|null} webUrl - Repo web URL (see getWebUrl)
+ * @param {string} sha - Commit SHA
+ * @returns {string|null} Commit URL, null when the clone has no known origin
+ */
+function getCommitUrl(webUrl, sha) {
+  if (!webUrl) return null;
+  if (webUrl.startsWith('https://gitlab.')) return `${webUrl}/-/commit/${sha}`;
+  if (webUrl.startsWith('https://bitbucket.org/')) return `${webUrl}/commits/${sha}`;
+  return `${webUrl}/commit/${sha}`;
+}
+
+/**
+ * Parses `git log --numstat` output written with the format of the local provider
+ * @param {string} output - git log output
+ * @returns {Array<Object>} Records ({ sha, name, email, date, message, files })
+ */
+function parseGitLog(output) {
+  return output.split(RECORD_SEPARATOR).slice(1).map(record => {
+    const [sha, name, email, date, message, numstat = ''] = record.split(FIELD_SEPARATOR);
+    const files = numstat.split('\n').filter(Boolean).map(line => {
+      const [additions, deletions, ...file] = line.split('\t');
+      // Binary files are listed with "-" counts
+      return { additions: Number(additions) || 0, deletions: Number(deletions) || 0, filename: file.join('\t') };
+    });
+    return { sha, name, email, date, message: message.trimEnd(), files };
+  });
+}
+
+/**
+ * Converts a git log record into the GitHub REST commit shape the worker stores
+ * @param {Object} record - Record from parseGitLog
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string|null} webUrl - Repo web URL (see getWebUrl)
+ * @returns {Object} Raw commit with repo/org/provider and lineStats
+ */
+function fromGitLogRecord(record, repo, webUrl) {
+  return {
+    sha: record.sha,
+    commit: {
+      message: record.message,
+      author: {
+        name: record.name,
+        email: record.email,
+        date: record.date
+      }
+    },
+    html_url: getCommitUrl(webUrl, record.sha),
+    repo: repo,
+    org: repo.slice(0, repo.lastIndexOf('/')),
+    provider: 'local',
+    lineStats: {
+      additions: record.files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: record.files.reduce((sum, file) => sum + file.deletions, 0),
+      filesChanged: record.files.length,
+      files: record.files.map(file => file.filename)
+    }
+  };
+}
+
+/**
+ * Creates the "local" source provider, which reads repos from their clones
+ * @param {Map<string, Object>} clones - Clone per repo key ({ dir, webUrl })
+ * @returns {Object} Source provider ({ fetchCommits, fetchBranches, fetchDefaultBranch, commitsPageUrl })
+ */
+function createLocalProvider(clones) {
+  return {
+    fetchCommits: async (repo, token, since = null, until = null, options = {}) => {
+      const { dir, webUrl } = clones.get(repo);
+      const args = ['log', options.branch || 'HEAD', '--numstat',
+        `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%B${FIELD_SEPARATOR}`];
+      // since and until are UTC dates: the worker widens a --tz range to the UTC
+      // days it overlaps and trims the result to local days (toUtcDateRange)
+      if (since) args.push(`--since=${new Date(since).toISOString()}`);
+      if (until) args.push(`--until=${until}T23:59:59Z`);
+
+      const commits = parseGitLog(await git(dir, args)).map(record => fromGitLogRecord(record, repo, webUrl));
+      const stopIndex = options.stopAtSha ? commits.findIndex(commit => commit.sha === options.stopAtSha) : -1;
+      return (stopIndex === -1 ? commits : commits.slice(0, stopIndex)).filter(commit => !options.excludeShas?.has(commit.sha));
+    },
+    fetchBranches: async repo => {
+      const output = await git(clones.get(repo).dir, ['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+      return output.split('\n').filter(Boolean);
+    },
+    fetchDefaultBranch: async repo => (await git(clones.get(repo).dir, ['symbolic-ref', '--short', 'HEAD'])).trim(),
+    commitsPageUrl: repo => {
+      const { webUrl } = clones.get(repo);
+      return webUrl ? `${webUrl}/commits` : null;
+    }
+  };
+}
+
+/**
+ * Finds the clone of each configured repo and its web URL
+ * @param {Object} config - Repos config (repos.json)
+ * @param {string} configDir - Directory of the config file, for relative paths
+ * @param {string} clonesDir - Directory holding clones named after their repos
+ * @returns {Promise<Map<string, Object>>} Clone per repo key ({ dir, webUrl })
+ */
+async function findClones(config, configDir, clonesDir) {
+  const clones = new Map();
+
+  for (const repo of config.repos) {
+    const key = `${repo.owner || config.organization}/${repo.name}`;
+    const dir = repo.path ? path.resolve(configDir, repo.path) : path.resolve(clonesDir, repo.name);
+    const remote = await git(dir, ['remote', 'get-url', 'origin']).catch(() => '');
+    clones.set(key, { dir, webUrl: remote ? getWebUrl(remote) : null });
+  }
+
+  return clones;
+}
+
+/**
+ * Calls a worker endpoint and returns its JSON body
+ * @param {Object} env - Worker environment
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters (empty values are left out)
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} When the endpoint answers with an error
+ */
+async function callWorker(env, endpoint, params = {}) {
+  const url = new URL(endpoint, 'http://localhost');
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) url.searchParams.set(key, value);
+  });
+
+  const response = await worker.fetch(new Request(url.toString()), env);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`${endpoint}: ${body.error || response.status}`);
+  }
+  if (body.complete === false) {
+    console.warn(`${endpoint}: could not read ${body.failedRepos.join(', ')}`);
+  }
+  return body;
+}
+
+/**
+ * Writes an endpoint's response where the dashboard's static mode looks for it
+ * @param {string} outDir - Output directory
+ * @param {string} endpoint - API endpoint (/api/...)
+ * @param {Object} data - Response body
+ */
+async function writeEndpoint(outDir, endpoint, data) {
+  const file = path.join(outDir, `${endpoint}.json`);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(data));
+  console.log(`Wrote ${file}`);
+}
+
+/**
+ * Builds the static data files
+ * @param {Object} options - Command-line options
+ */
+async function main(options) {
+  const configPath = path.resolve(options.config);
+  const config = JSON.parse(await readFile(configPath, 'utf8'));
+
+  // Every repo is read from its clone; discovery and tokens are GitHub API
+  // settings, and clone paths stay out of the published repo list
+  if (config.discover) {
+    console.warn('Ignoring "discover": only repos listed in the config are read from clones');
+  }
+  const localConfig = {
+    ...config,
+    discover: undefined,
+    repos: config.repos.map(({ token, path: clonePath, ...repo }) => ({ ...repo, provider: 'local' }))
+  };
+
+  registerSourceProvider('local', createLocalProvider(await findClones(config, path.dirname(configPath), options.clones)));
+
+  // The handlers run in this process only, so there is nobody to authenticate
+  const env = { REPOS_CONFIG: JSON.stringify(localConfig), PUBLIC_ACCESS: 'true' };
+  const range = { from: options.from, to: options.to, branch: options.branch, tz: options.tz };
+
+  await writeEndpoint(options.out, '/api/repos', await callWorker(env, '/api/repos'));
+
+  const weeks = await callWorker(env, '/api/weeks', range);
+  await writeEndpoint(options.out, '/api/weeks', weeks);
+  for (const week of weeks.weeks) {
+    const endpoint = `/api/weeks/${week.weekId}`;
+    await writeEndpoint(options.out, endpoint, await callWorker(env, endpoint, { tz: options.tz }));
+  }
+
+  for (const groupBy of GROUP_BYS) {
+    const commits = await callWorker(env, '/api/commits', { ...range, groupBy, include: 'stats' });
+    await writeEndpoint(options.out, `/api/commits/${groupBy}`, commits);
+  }
+}
+
+const { values } = parseArgs({
+  options: {
+    config: { type: 'string', default: 'config/repos.json' },
+    clones: { type: 'string', default: '.' },
+    out: { type: 'string', default: 'data' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    tz: { type: 'string' },
+    branch: { type: 'string' }
+  }
+});
+
+main(values).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the source provider converters and pagination
+ * Run with: node --test tests/
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { collectPages, fromBitbucketCommit, fromGitLabCommit } from '../workers/github-commits.js';
+
+// Trimmed GET /projects/:id/repository/commits?with_stats=true item
+const GITLAB_COMMIT = {
+  id: '6104942438c14ec7bd21c6cd5bd995272b3faff6',
+  short_id: '6104942438c',
+  title: 'Sanitize for network graph',
+  message: 'Sanitize for network graph\n\nCloses #12',
+  author_name: 'Randall Munroe',
+  author_email: 'randall@example.com',
+  authored_date: '2025-06-03T09:30:00.000+02:00',
+  committed_date: '2025-06-04T11:00:00.000+02:00',
+  web_url: 'https://gitlab.com/acme-corp/web/storefront/-/commit/6104942438c14ec7bd21c6cd5bd995272b3faff6',
+  stats: { additions: 15, deletions: 3, total: 18 }
+};
+
+// Trimmed GET /repositories/{workspace}/{repo}/commits item
+const BITBUCKET_COMMIT = {
+  hash: '9f5a7e8c1b2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f',
+  date: '2025-06-05T14:20:00+00:00',
+  message: 'Fix checkout total rounding\n',
+  author: {
+    raw: 'Ada Lovelace <ada@example.com>',
+    user: { display_name: 'Ada L.' }
+  },
+  links: { html: { href: 'https://bitbucket.org/acme-agency/brochure/commits/9f5a7e8c1b2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f' } }
+};
+
+test('fromGitLabCommit maps a GitLab commit to the GitHub REST shape', () => {
+  assert.deepEqual(fromGitLabCommit(GITLAB_COMMIT, 'acme-corp/web/storefront'), {
+    sha: GITLAB_COMMIT.id,
+    commit: {
+      message: GITLAB_COMMIT.message,
+      author: {
+        name: 'Randall Munroe',
+        email: 'randall@example.com',
+        date: '2025-06-03T09:30:00.000+02:00'
+      }
+    },
+    html_url: GITLAB_COMMIT.web_url,
+    repo: 'acme-corp/web/storefront',
+    org: 'acme-corp/web',
+    provider: 'gitlab',
+    lineStats: { additions: 15, deletions: 3, filesChanged: 0, files: [] }
+  });
+});
+
+test('fromGitLabCommit leaves out lineStats when GitLab sent no stats', () => {
+  const { stats, ...withoutStats } = GITLAB_COMMIT;
+  assert.equal('lineStats' in fromGitLabCommit(withoutStats, 'acme-corp/web/storefront'), false);
+});
+
+test('fromBitbucketCommit maps a Bitbucket commit to the GitHub REST shape', () => {
+  assert.deepEqual(fromBitbucketCommit(BITBUCKET_COMMIT, 'acme-agency/brochure'), {
+    sha: BITBUCKET_COMMIT.hash,
+    commit: {
+      message: 'Fix checkout total rounding\n',
+      author: {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        date: '2025-06-05T14:20:00+00:00'
+      }
+    },
+    html_url: BITBUCKET_COMMIT.links.html.href,
+    repo: 'acme-agency/brochure',
+    org: 'acme-agency',
+    provider: 'bitbucket'
+  });
+});
+
+test('fromBitbucketCommit falls back to the user name and a built link', () => {
+  const commit = fromBitbucketCommit(
+    { hash: 'abc123', date: '2025-06-05T14:20:00+00:00', message: 'm', author: { raw: '<ci@example.com>', user: { display_name: 'CI' } } },
+    'acme-agency/brochure'
+  );
+  assert.equal(commit.commit.author.name, 'CI');
+  assert.equal(commit.commit.author.email, 'ci@example.com');
+  assert.equal(commit.html_url, 'https://bitbucket.org/acme-agency/brochure/commits/abc123');
+});
+
+/**
+ * Creates a fetchPage function over numbered pages of one item each
+ * @param {number} pageTotal - Number of pages
+ * @returns {Function} fetchPage for collectPages, with the URLs it was called with in .urls
+ */
+function numberedPages(pageTotal) {
+  const urls = [];
+  const fetchPage = async url => {
+    urls.push(url);
+    const page = Number(url.split('=')[1]);
+    return { items: [page], next: page < pageTotal ? `page=${page + 1}` : null };
+  };
+  fetchPage.urls = urls;
+  return fetchPage;
+}
+
+test('collectPages follows next links to the last page', async () => {
+  let truncated = false;
+  const items = await collectPages('page=1', numberedPages(3), () => false, () => {
+    truncated = true;
+  });
+  assert.deepEqual(items, [1, 2, 3]);
+  assert.equal(truncated, false);
+});
+
+test('collectPages stops when shouldStop returns true', async () => {
+  const fetchPage = numberedPages(10);
+  const items = await collectPages('page=1', fetchPage, page => page[0] === 2);
+  assert.deepEqual(items, [1, 2]);
+  assert.equal(fetchPage.urls.length, 2);
+});
+
+test('collectPages reports hitting the page limit', async () => {
+  let truncated = false;
+  const items = await collectPages('page=1', numberedPages(25), () => false, () => {
+    truncated = true;
+  });
+  assert.equal(items.length, 20);
+  assert.equal(truncated, true);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the local summary provider and summary normalization
+ * Run with: node --test tests/
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeSummary, summarizeLocally } from '../workers/github-commits.js';
+
+// Summary input as handleSummary builds it: oldest first, with project display names
+const INPUT = {
+  commits: [
+    { sha: 'a1', message: 'feat: Add checkout flow\n\nWith a guest option', author: 'Ann', date: '2025-06-01T00:00:00Z', project: 'Outlaw Spice' },
+    { sha: 'b2', message: 'fix: Keep the login redirect', author: 'Bob', date: '2025-06-02T00:00:00Z', project: 'Outlaw Spice' },
+    { sha: 'c3', message: 'feat(cart): Save carts between visits', author: 'Ann', date: '2025-06-03T00:00:00Z', project: 'People of Spice' },
+    { sha: 'd4', message: 'chore: Remove old backups', author: 'Ann', date: '2025-06-03T00:00:00Z', project: 'People of Spice' }
+  ],
+  projects: ['Outlaw Spice', 'People of Spice']
+};
+
+test('summarizeLocally builds the summary from commit categories', async () => {
+  assert.deepEqual(await summarizeLocally(INPUT), {
+    overview: '4 commits across Outlaw Spice and People of Spice by 2 contributors, focused mainly on new features.',
+    keyAchievements: ['feat: Add checkout flow', 'feat(cart): Save carts between visits'],
+    technicalImprovements: ['fix: Keep the login redirect'],
+    cleanup: ['chore: Remove old backups'],
+    impact: '2 features, 1 fix, 0 documentation updates and 1 cleanup change.'
+  });
+});
+
+test('summarizeLocally gives the same summary for the same input', async () => {
+  assert.deepEqual(await summarizeLocally(INPUT), await summarizeLocally(structuredClone(INPUT)));
+});
+
+test('summarizeLocally falls back to general maintenance without categorized commits', async () => {
+  const summary = await summarizeLocally({
+    commits: [{ sha: 'e5', message: 'Bump version', author: 'Cy', date: '2025-06-04T00:00:00Z', project: 'Outlaw Spice' }],
+    projects: ['Outlaw Spice']
+  });
+
+  assert.equal(summary.overview, '1 commit across Outlaw Spice by 1 contributor, focused mainly on general maintenance.');
+  assert.deepEqual(summary.keyAchievements, []);
+});
+
+test('normalizeSummary trims text and drops entries that are not strings', () => {
+  assert.deepEqual(normalizeSummary({
+    overview: '  Big week  ',
+    keyAchievements: ['Checkout', 3, '  ', ' Carts '],
+    technicalImprovements: 'not a list',
+    impact: 42
+  }), {
+    overview: 'Big week',
+    keyAchievements: ['Checkout', 'Carts'],
+    technicalImprovements: [],
+    cleanup: [],
+    impact: ''
+  });
+});
+
+test('normalizeSummary keeps at most eight entries per list', () => {
+  const items = Array.from({ length: 12 }, (_, i) => `Item ${i + 1}`);
+  assert.deepEqual(normalizeSummary({ cleanup: items }).cleanup, items.slice(0, 8));
+});
+
+test('normalizeSummary turns a missing answer into an empty summary', () => {
+  assert.deepEqual(normalizeSummary(null), {
+    overview: '',
+    keyAchievements: [],
+    technicalImprovements: [],
+    cleanup: [],
+    impact: ''
+  });
+});
@@ -3,9 +3,51 @@
  * Fetches commits from multiple repos, groups by week, and caches responses
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+
 // Configuration - loaded from environment or defaults
 const GITHUB_API_BASE = 'https://api.github.com';
+const GITLAB_API_BASE = 'https://gitlab.com/api/v4'; // gitlab.com; self-hosted repos set "apiBase"
+const BITBUCKET_API_BASE = 'https://api.bitbucket.org/2.0';
+const DEFAULT_SOURCE_PROVIDER = 'github'; // Provider of repos that don't set "provider"
 const CACHE_TTL = 3600; // 1 hour in seconds
+const STORE_SYNC_INTERVAL = 300; // Minimum seconds between incremental syncs of a repo
+const STORE_HISTORY_START = '1970-01-01'; // syncedFrom value once full history is stored
+const STORE_SYNC_LOOKBACK = 7; // Days before the newest stored commit re-read by an incremental sync
+const BRANCH_STORE_TTL = 7 * 24 * 3600; // Seconds a named branch's commit store outlives its last write
+const ALL_BRANCHES = '*'; // branch query parameter value selecting every branch
+const MAX_ALL_BRANCHES = 20; // Branches read per repo when every branch is selected, default branch first
+const STATS_FETCH_CONCURRENCY = 6; // Parallel single-commit requests when loading stats
+const MAX_STATS_FETCHES = 400; // Single-commit requests for stats not yet in the store, per API call
+const REPO_FETCH_CONCURRENCY = 4; // Repos fetched in parallel by the fan-out helpers
+const PULL_DETAILS_CONCURRENCY = 3; // Pull requests per repo whose commits and reviews load in parallel
+const MAX_PULL_DETAIL_FETCHES = 100; // Uncached pull requests whose details may be fetched per API call
+const RELEASE_FETCH_CONCURRENCY = 3; // Tag dates or changelogs per repo loaded in parallel
+const MAX_RELEASE_FETCHES = 100; // Uncached tag dates and changelogs that may be fetched per API call
+const GITHUB_MAX_RETRIES = 3; // Retries of a rate-limited or failed API request (any provider)
+const GITHUB_RETRY_BASE_DELAY = 1000; // First backoff delay in ms, doubled per retry
+const GITHUB_MAX_RETRY_WAIT = 20; // Longest wait in seconds before giving up on a retry
+const REQUEST_DEADLINE = 25; // Seconds one request (or pre-warm query) may spend on API calls
+const INCOMPLETE_CACHE_TTL = 60; // Cache TTL in seconds for responses missing some repos
+const GRAPHQL_HISTORY_PAGE_SIZE = 100; // Commits per repo per GraphQL round-trip
+const GRAPHQL_MAX_TARGETS_PER_QUERY = 10; // Repo/branch histories aliased into one GraphQL query
+const COMMITS_PAGE_SIZE = 100; // Default page size of /api/commits when a cursor is given without a limit
+const COMMITS_MAX_PAGE_SIZE = 1000; // Largest limit accepted by /api/commits
+const SESSION_COOKIE = 'eoyr_session'; // Name of the signed session cookie
+const SESSION_TTL = 7 * 24 * 3600; // Session cookie lifetime in seconds
+const PREWARM_STATUS_KEY = 'prewarm:last-run'; // KV key of the last scheduled pre-warm report
+const PREWARM_GROUP_BYS = ['day', 'week', 'month', 'year']; // Groupings refreshed for every preset
+const PREWARM_PRESETS = ['thisWeek', 'lastWeek', 'lastMonth', 'last3Months', 'yearToDate']; // Refreshed in turn, one per run
+const REPORT_NOTABLE_LIMIT = 8; // Notable commits listed at the top of a weekly report
+const FEED_DAYS = 14; // Days of commits included in the Atom feeds
+const CALENDAR_DAYS = 90; // Days of commits included in the iCalendar feed
+const SUMMARY_CACHE_TTL = 30 * 24 * 3600; // Summaries are keyed by their whole input, so they can be kept long
+const SUMMARY_MAX_COMMITS = 1000; // Largest group /api/summary accepts
+const SUMMARY_MAX_BODY_BYTES = 2 * 1024 * 1024; // Largest /api/summary request body
+const SUMMARY_MAX_MESSAGE_LENGTH = 1000; // Characters of each commit message a summary is built from
+const SUMMARY_PROMPT_COMMITS = 200; // Commits sent to an LLM provider (the rest are counted only)
+const REPO_DISCOVERY_TTL = 3600; // Seconds an organization's repo listing is reused
+const REPO_DISCOVERY_FAILURE_TTL = 300; // Seconds a failed repo listing is remembered before retrying
 
 /**
  * Part 1: GitHub API Fetch Functions with Date Range Support
@@ -29,29 +71,385 @@ function getNextPageUrl(linkHeader) {
   return null;
 }
 
+/**
+ * Deadline of the request being handled, so every API call made for it shares one time budget
+ * Set per invocation by runWithDeadline; calls made outside one have no deadline
+ */
+const invocationDeadline = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a deadline for the API calls it makes
+ * @param {number} seconds - Time budget in seconds
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function runWithDeadline(seconds, fn) {
+  return invocationDeadline.run(Date.now() + seconds * 1000, fn);
+}
+
+/**
+ * Gets the time left before the current invocation's deadline
+ * @returns {number} Milliseconds left, Infinity when no deadline is set
+ */
+function getTimeLeft() {
+  const deadline = invocationDeadline.getStore();
+  return deadline === undefined ? Infinity : deadline - Date.now();
+}
+
+/**
+ * Latest rate limit headers seen per token and API (REST and GraphQL have separate quotas)
+ * Shared by all requests handled in this isolate so a drained quota is not retried blindly
+ */
+const rateLimitState = new Map();
+
+/**
+ * Gets the rateLimitState key for a request
+ * @param {string} token - GitHub personal access token
+ * @param {string} url - Request URL
+ * @returns {string} State key
+ */
+function getRateLimitKey(token, url) {
+  const resource = url.startsWith(`${GITHUB_API_BASE}/graphql`) ? 'graphql' : 'core';
+  return `${resource}:${token}`;
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Remembers the rate limit headers of a GitHub response
+ * @param {string} key - Rate limit state key (see getRateLimitKey)
+ * @param {Response} response - GitHub API response
+ */
+function recordRateLimit(key, response) {
+  const remaining = response.headers.get('X-RateLimit-Remaining');
+  if (remaining === null) return;
+  
+  const reset = response.headers.get('X-RateLimit-Reset');
+  rateLimitState.set(key, {
+    remaining: Number(remaining),
+    resetAt: reset ? Number(reset) * 1000 : 0
+  });
+}
+
+/**
+ * Checks whether a GitHub response was rejected by a primary or secondary rate limit
+ * A 403 without rate limit headers is a permissions error and is not retried
+ * @param {Response} response - GitHub API response
+ * @returns {boolean} True if rate limited
+ */
+function isRateLimited(response) {
+  if (response.status === 429) return true;
+  return response.status === 403 && (
+    response.headers.get('X-RateLimit-Remaining') === '0' ||
+    response.headers.has('Retry-After')
+  );
+}
+
+/**
+ * Gets how long to wait before retrying a GitHub request
+ * Uses Retry-After, then X-RateLimit-Reset, then exponential backoff
+ * @param {Response|null} response - Failed response, null after a network error
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Math.max(0, Date.parse(retryAfter) - Date.now()) : seconds * 1000;
+  }
+  
+  const reset = response?.headers.get('X-RateLimit-Reset');
+  if (reset && response.headers.get('X-RateLimit-Remaining') === '0') {
+    return Math.max(0, Number(reset) * 1000 - Date.now());
+  }
+  
+  return GITHUB_RETRY_BASE_DELAY * 2 ** attempt;
+}
+
+/**
+ * Creates the error thrown when a rate limit outlasts the retry budget
+ * @param {string} url - Request URL
+ * @param {number} waitMs - Time until the limit resets, in milliseconds
+ * @returns {Error} Error with rateLimited and retryAfter (seconds) set
+ */
+function createRateLimitError(url, waitMs) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  const error = new Error(`Rate limit reached, resets in ${retryAfter}s: ${url}`);
+  error.rateLimited = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Creates the error thrown when the invocation's deadline passes before a request is made
+ * @param {string} url - Request URL
+ * @returns {Error} Error with timedOut set
+ */
+function createDeadlineError(url) {
+  const error = new Error(`Request deadline reached before fetching ${url}`);
+  error.timedOut = true;
+  return error;
+}
+
+/**
+ * Gets the longest wait before a retry that is still worth it
+ * @returns {number} Milliseconds (GITHUB_MAX_RETRY_WAIT, or less near the deadline)
+ */
+function getMaxRetryWait() {
+  return Math.min(GITHUB_MAX_RETRY_WAIT * 1000, getTimeLeft());
+}
+
+/**
+ * Makes an API request, retrying rate limits and transient failures
+ * Every GitHub, GitLab and Bitbucket call goes through here. Rate-limited, 5xx
+ * and network failures are retried with backoff while the wait fits in
+ * GITHUB_MAX_RETRY_WAIT and the invocation's deadline; a rate limit that lasts
+ * longer throws an error with rateLimited set. Once the deadline has passed no
+ * request is made and an error with timedOut set is thrown
+ * @param {string} url - Full API URL
+ * @param {string} rateLimitKey - rateLimitState key of the quota the request counts against
+ * @param {Object} init - Fetch options (method, body, headers)
+ * @returns {Promise<Response>} Fetch response (other non-ok statuses are returned as-is)
+ */
+async function apiRequest(url, rateLimitKey, init) {
+  for (let attempt = 0; ; attempt++) {
+    if (getTimeLeft() <= 0) {
+      throw createDeadlineError(url);
+    }
+    
+    // Don't spend a request on a quota that is known to be drained
+    const limit = rateLimitState.get(rateLimitKey);
+    if (limit && limit.remaining === 0 && limit.resetAt > Date.now()) {
+      const waitMs = limit.resetAt - Date.now();
+      if (waitMs > getMaxRetryWait()) {
+        throw createRateLimitError(url, waitMs);
+      }
+      await sleep(waitMs);
+    }
+    
+    // A request still in flight at the deadline is aborted (and fails as a network error)
+    const timeLeft = getTimeLeft();
+    const signal = timeLeft === Infinity ? init.signal : AbortSignal.timeout(Math.max(1, timeLeft));
+    
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal });
+    } catch (error) {
+      if (getTimeLeft() <= 0) throw createDeadlineError(url);
+      if (attempt >= GITHUB_MAX_RETRIES || getRetryDelay(null, attempt) > getMaxRetryWait()) throw error;
+      console.warn(`Network error for ${url}, retrying: ${error.message}`);
+      await sleep(getRetryDelay(null, attempt));
+      continue;
+    }
+    
+    recordRateLimit(rateLimitKey, response);
+    
+    const rateLimited = isRateLimited(response);
+    if (!rateLimited && response.status < 500) {
+      return response;
+    }
+    
+    const waitMs = getRetryDelay(response, attempt);
+    if (attempt >= GITHUB_MAX_RETRIES || waitMs > getMaxRetryWait()) {
+      if (rateLimited) {
+        throw createRateLimitError(url, waitMs);
+      }
+      return response;
+    }
+    
+    console.warn(`API returned ${response.status} for ${url}, retrying in ${waitMs}ms (attempt ${attempt + 1})`);
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Makes an authenticated request to the GitHub API
+ * @param {string} url - Full API URL
+ * @param {string} token - GitHub personal access token
+ * @param {Object} init - Extra fetch options (method, body)
+ * @returns {Promise<Response>} Fetch response (see apiRequest)
+ */
+async function githubRequest(url, token, init = {}) {
+  return apiRequest(url, getRateLimitKey(token, url), {
+    ...init,
+    headers: {
+      'Authorization': `token ${token}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'EOYR-Dashboard/1.0'
+    }
+  });
+}
+
+/**
+ * Makes an authenticated GET request to the GitHub REST API
+ * @param {string} url - Full API URL
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Response>} Fetch response
+ */
+async function githubGet(url, token) {
+  return githubRequest(url, token);
+}
+
+/**
+ * Runs a query against the GitHub GraphQL API
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Object>} Parsed body ({ data, errors })
+ */
+async function githubGraphQL(query, variables, token) {
+  const url = `${GITHUB_API_BASE}/graphql`;
+  const response = await githubRequest(url, token, {
+    method: 'POST',
+    body: JSON.stringify({ query, variables })
+  });
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`GitHub GraphQL error: ${response.status} - ${errorText}`);
+  }
+  
+  const body = await response.json();
+  
+  // GraphQL reports its own rate limit inside a 200 response
+  if ((body.errors || []).some(error => error.type === 'RATE_LIMITED')) {
+    const reset = response.headers.get('X-RateLimit-Reset');
+    throw createRateLimitError(url, reset ? Math.max(0, Number(reset) * 1000 - Date.now()) : 60000);
+  }
+  
+  return body;
+}
+
+/**
+ * Creates a record of the repos a response is missing data for
+ * Fan-out helpers add to it instead of failing the whole response
+ * @returns {Object} Fetch report ({ failedRepos, rateLimited })
+ */
+function createFetchReport() {
+  return { failedRepos: [], rateLimited: false };
+}
+
+/**
+ * Records that a repo's data could not be (fully) fetched
+ * @param {Object|null} report - Fetch report, ignored when null
+ * @param {string} repo - Repository key (owner/name)
+ * @param {Error} error - Error that caused the failure
+ */
+function recordFetchFailure(report, repo, error) {
+  if (!report) return;
+  
+  if (!report.failedRepos.includes(repo)) {
+    report.failedRepos.push(repo);
+  }
+  if (error?.rateLimited) {
+    report.rateLimited = true;
+  }
+}
+
+/**
+ * Records that a repo's listing stopped at the page limit with pages left unread
+ * @param {Object|null} report - Fetch report, ignored when null
+ * @param {string} repo - Repository key (owner/name)
+ */
+function recordFetchTruncation(report, repo) {
+  console.warn(`Page limit reached for ${repo}, some of its data was not read`);
+  recordFetchFailure(report, repo, null);
+}
+
+/**
+ * Marks a response as complete or incomplete and picks its cache TTL
+ * Incomplete responses are cached briefly so a rate limit doesn't pin missing data for an hour
+ * @param {Object} response - Response body (modified in place)
+ * @param {Object} report - Fetch report
+ * @returns {number} Cache TTL in seconds
+ */
+function applyFetchReport(response, report) {
+  response.complete = report.failedRepos.length === 0;
+  if (!response.complete) {
+    response.failedRepos = report.failedRepos;
+    response.rateLimited = report.rateLimited;
+  }
+  return response.complete ? CACHE_TTL : INCOMPLETE_CACHE_TTL;
+}
+
+/**
+ * Converts an inclusive end date into the exclusive timestamp GitHub expects
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {string} ISO timestamp of the start of the following day
+ */
+function getUntilTimestamp(until) {
+  // Add 1 day to 'until' to include commits on that day
+  const untilDate = new Date(until);
+  untilDate.setDate(untilDate.getDate() + 1);
+  return untilDate.toISOString();
+}
+
 /**
  * Fetches commits from a single repository with date range filtering
+ * Reads from the repo's source provider (see SOURCE_PROVIDERS); every provider
+ * returns commits in the GitHub REST shape
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string|null} token - Token for the repo's provider
+ * @param {string} since - ISO date string (YYYY-MM-DD) - commits after this date
+ * @param {string} until - ISO date string (YYYY-MM-DD) - commits before this date
+ * @param {Object} options - Optional fetch settings
+ * @param {string} options.stopAtSha - Stop paging once this (already known) commit is reached
+ * @param {string} options.branch - Branch to list commits from (default branch when omitted)
+ * @param {string} options.provider - Source provider name (default: github)
+ * @param {Function} options.onTruncated - Called when the page limit is hit with commits left unread
+ * @param {Set<string>} options.excludeShas - Leave out these (already known) commits, and stop paging at a
+ *   page that only holds such commits (see reachedExcludedHistory)
+ * @returns {Promise<Array>} Array of commit objects
+ */
+async function fetchRepoCommits(repo, token, since = null, until = null, options = {}) {
+  return getSourceProvider(options.provider).fetchCommits(repo, token, since, until, options);
+}
+
+/**
+ * Checks whether a page of a branch's commits only holds commits to leave out
+ * Histories are read newest first, so such a page has reached the history the
+ * branch shares with the default branch
+ * @param {Array<string>} shas - SHAs of the page's commits
+ * @param {Set<string>|null} excludeShas - SHAs to leave out (see fetchRepoCommits)
+ * @returns {boolean} True when paging can stop
+ */
+function reachedExcludedHistory(shas, excludeShas) {
+  return !!excludeShas && shas.length > 0 && shas.every(sha => excludeShas.has(sha));
+}
+
+/**
+ * Fetches commits from a GitHub repository (the "github" source provider)
  * Includes pagination to fetch ALL commits (not just first 100)
- * @param {string} org - GitHub organization name
- * @param {string} repo - Repository name
+ * @param {string} repo - Repository key (owner/name)
  * @param {string} token - GitHub personal access token
  * @param {string} since - ISO date string (YYYY-MM-DD) - commits after this date
  * @param {string} until - ISO date string (YYYY-MM-DD) - commits before this date
+ * @param {Object} options - Optional fetch settings (see fetchRepoCommits)
  * @returns {Promise<Array>} Array of commit objects
  */
-async function fetchRepoCommits(org, repo, token, since = null, until = null) {
+async function fetchGitHubCommits(repo, token, since = null, until = null, options = {}) {
+  const { stopAtSha = null, branch = null, onTruncated = null, excludeShas = null } = options;
   const allCommits = [];
-  let url = new URL(`${GITHUB_API_BASE}/repos/${org}/${repo}/commits`);
+  let url = new URL(`${GITHUB_API_BASE}/repos/${repo}/commits`);
+  
+  if (branch) {
+    url.searchParams.set('sha', branch);
+  }
   
   // Add date range parameters if provided
   if (since) {
     url.searchParams.set('since', new Date(since).toISOString());
   }
   if (until) {
-    // Add 1 day to 'until' to include commits on that day
-    const untilDate = new Date(until);
-    untilDate.setDate(untilDate.getDate() + 1);
-    url.searchParams.set('until', untilDate.toISOString());
+    url.searchParams.set('until', getUntilTimestamp(until));
   }
   
   // Set per_page to maximum (100)
@@ -60,31 +458,18 @@ async function fetchRepoCommits(org, repo, token, since = null, until = null) {
   let pageCount = 0;
   const maxPages = 20; // Safety limit to prevent infinite loops
   
-  console.log(`Starting fetch for ${org}/${repo}, since=${since}, until=${until}`);
+  console.log(`Starting fetch for ${repo}, branch=${branch || 'default'}, since=${since}, until=${until}`);
   console.log(`Initial URL: ${url.toString()}`);
   
   while (url && pageCount < maxPages) {
     console.log(`Fetching page ${pageCount + 1} from: ${url.toString()}`);
     
-    const response = await fetch(url.toString(), {
-      headers: {
-        'Authorization': `token ${token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'EOYR-Dashboard/1.0'
-      }
-    });
+    // Rate limits are retried by githubGet; one that outlasts the retries throws
+    // rather than returning a partial list
+    const response = await githubGet(url.toString(), token);
     
     console.log(`Response status for ${repo}: ${response.status}`);
     
-    // Handle rate limiting
-    if (response.status === 403 || response.status === 429) {
-      const retryAfter = response.headers.get('Retry-After') || '60';
-      const rateLimit = response.headers.get('X-RateLimit-Remaining');
-      console.warn(`Rate limited for ${repo}, waiting ${retryAfter}s, remaining: ${rateLimit}`);
-      // For now, just return what we have
-      break;
-    }
-    
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`GitHub API error for ${repo}: ${response.status} - ${errorText}`);
@@ -94,15 +479,34 @@ async function fetchRepoCommits(org, repo, token, since = null, until = null) {
     const commits = await response.json();
     console.log(`Got ${commits.length} commits from ${repo} on page ${pageCount + 1}`);
     
-    // Add repo name to each commit for easier tracking
-    const commitsWithRepo = commits.map(commit => ({
-      ...commit,
-      repo: repo,
-      org: org
-    }));
+    // Commits come newest first, so everything after a known SHA is already stored
+    const stopIndex = stopAtSha ? commits.findIndex(commit => commit.sha === stopAtSha) : -1;
+    const newCommits = stopIndex === -1 ? commits : commits.slice(0, stopIndex);
+    
+    // Add the repo key and owner to each commit for easier tracking
+    const commitsWithRepo = newCommits
+      .filter(commit => !excludeShas?.has(commit.sha))
+      .map(commit => ({
+        ...commit,
+        repo: repo,
+        org: parseRepoKey(repo).owner
+      }));
     
     allCommits.push(...commitsWithRepo);
     
+    if (stopIndex !== -1) {
+      console.log(`Reached known commit ${stopAtSha.substring(0, 7)} for ${repo}`);
+      url = null;
+      pageCount++;
+      break;
+    }
+    if (reachedExcludedHistory(commits.map(commit => commit.sha), excludeShas)) {
+      console.log(`Reached the default branch history for ${repo}@${branch}`);
+      url = null;
+      pageCount++;
+      break;
+    }
+    
     // Check for next page
     const linkHeader = response.headers.get('Link');
     const nextUrl = getNextPageUrl(linkHeader);
@@ -112,845 +516,6162 @@ async function fetchRepoCommits(org, repo, token, since = null, until = null) {
     // If we got less than 100 commits, there are no more pages
     if (commits.length < 100) {
       console.log(`Last page for ${repo}, got ${commits.length} commits`);
+      url = null;
       break;
     }
   }
   
+  if (url && onTruncated) {
+    onTruncated();
+  }
+  
   console.log(`Fetched ${allCommits.length} commits from ${repo} (${pageCount} pages)`);
   return allCommits;
 }
 
 /**
  * Fetches commits from multiple repositories
- * @param {Array<string>} repos - Array of repository names
- * @param {string} org - GitHub organization name
- * @param {string} token - GitHub personal access token
+ * Reads through the incremental commit store when an environment is passed
+ * @param {Array<string>} repos - Repository keys (owner/name)
+ * @param {Object} tokens - Token per repo key (see resolveRepoTokens)
  * @param {string} since - ISO date string (YYYY-MM-DD)
  * @param {string} until - ISO date string (YYYY-MM-DD)
+ * @param {Object} env - Worker environment (optional, enables the commit store)
+ * @param {Object} branchesByRepo - Branch setting per repo key (see resolveRepoBranches)
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
+ * @param {Object} providersByRepo - Source provider per repo key (see resolveRepoProviders), GitHub when missing
  * @returns {Promise<Array>} Array of all commits from all repos
  */
-async function fetchAllCommits(repos, org, token, since = null, until = null) {
-  const commitPromises = repos.map(repo => 
-    fetchRepoCommits(org, repo, token, since, until).catch(error => {
+async function fetchAllCommits(repos, tokens, since = null, until = null, env = null, branchesByRepo = {}, report = null, providersByRepo = {}) {
+  const results = await mapWithConcurrency(repos, REPO_FETCH_CONCURRENCY, repo =>
+    (branchesByRepo[repo]
+      ? fetchBranchCommits(env, repo, tokens[repo], since, until, branchesByRepo[repo], report, providersByRepo[repo])
+      : env
+        ? getStoredCommits(env, repo, tokens[repo], since, until, null, report, providersByRepo[repo])
+        : fetchRepoCommits(repo, tokens[repo], since, until, {
+          provider: providersByRepo[repo],
+          onTruncated: () => recordFetchTruncation(report, repo)
+        })
+    ).catch(error => {
       console.error(`Error fetching commits from ${repo}:`, error);
+      recordFetchFailure(report, repo, error);
       // Return empty array on error so other repos still work
       return [];
     })
   );
   
-  const results = await Promise.all(commitPromises);
   // Flatten array of arrays into single array
   return results.flat();
 }
 
 /**
- * Part 2: Week Grouping Logic and KV Caching
- */
-
-/**
- * Gets the ISO week start date (Monday) for a given date
- * @param {Date} date - Date to get week start for
- * @returns {Date} Monday of that week
- */
-function getWeekStart(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  return new Date(d.setDate(diff));
-}
-
-/**
- * Formats a date as YYYY-MM-DD
- * @param {Date} date - Date to format
- * @returns {string} Formatted date string
+ * Runs an async function over items with a limited number in flight at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as items
  */
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  
+  await Promise.all(workers);
+  return results;
 }
 
 /**
- * Gets the week identifier (YYYY-MM-DD of Monday)
- * @param {Date} date - Date to get week ID for
- * @returns {string} Week identifier
+ * Fetches line stats and changed file paths for a commit
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} sha - Commit SHA
+ * @param {Object} budget - Shared counter of fetches left ({ remaining })
+ * @returns {Promise<Object|null>} Stats ({ additions, deletions, filesChanged, files }) or null if over budget
  */
-function getWeekId(date) {
-  const weekStart = getWeekStart(new Date(date));
-  return formatDate(weekStart);
+async function fetchCommitStats(repo, token, sha, budget = { remaining: Infinity }) {
+  if (budget.remaining <= 0) {
+    return null;
+  }
+  budget.remaining--;
+  
+  const response = await githubGet(`${GITHUB_API_BASE}/repos/${repo}/commits/${sha}`, token);
+  
+  if (!response.ok) {
+    console.error(`GitHub API error for ${repo}@${sha}: ${response.status}`);
+    return null;
+  }
+  
+  const commit = await response.json();
+  const files = (commit.files || []).map(file => file.filename);
+  return {
+    additions: commit.stats?.additions || 0,
+    deletions: commit.stats?.deletions || 0,
+    filesChanged: files.length,
+    files: files
+  };
 }
 
 /**
- * Groups commits by ISO week
- * @param {Array} commits - Array of commit objects
- * @returns {Object} Object with week IDs as keys and arrays of commits as values
+ * Saves fetched line stats with the commits in the default branch store
+ * Commit contents never change, so stats are kept as long as the commit is
+ * stored; commits that aren't in the store (other branches) are skipped
+ * @param {Object} env - Worker environment
+ * @param {Array} commits - Commits that received stats (lineStats set)
  */
-function groupCommitsByWeek(commits) {
-  const weekGroups = {};
+async function storeCommitStats(env, commits) {
+  if (!env.EOYR_CACHE || commits.length === 0) return;
   
+  const byShard = new Map();
   commits.forEach(commit => {
-    const commitDate = new Date(commit.commit.author.date);
-    const weekId = getWeekId(commitDate);
-    
-    if (!weekGroups[weekId]) {
-      weekGroups[weekId] = [];
-    }
-    
-    weekGroups[weekId].push(commit);
+    const shardKey = getStoreShardKey(commit.repo, getMonthId(new Date(commit.commit.author.date)));
+    byShard.set(shardKey, [...(byShard.get(shardKey) || []), commit]);
   });
   
-  return weekGroups;
+  await Promise.all([...byShard].map(async ([shardKey, shardCommits]) => {
+    const stored = await env.EOYR_CACHE.get(shardKey, 'json');
+    if (!stored) return;
+    
+    const statsBySha = new Map(shardCommits.map(commit => [commit.sha, commit.lineStats]));
+    let changed = false;
+    stored.forEach(commit => {
+      if (!commit.lineStats && statsBySha.has(commit.sha)) {
+        commit.lineStats = statsBySha.get(commit.sha);
+        changed = true;
+      }
+    });
+    if (changed) {
+      await env.EOYR_CACHE.put(shardKey, JSON.stringify(stored));
+    }
+  }));
 }
 
 /**
- * Groups commits by day
- * @param {Array} commits - Array of commit objects
- * @returns {Object} Object with day IDs (YYYY-MM-DD) as keys
+ * Adds line stats to commits (modified in place)
+ * Commits read from the store keep the stats saved with them; the others are
+ * fetched (up to MAX_STATS_FETCHES) and saved to the store
+ * @param {Object} env - Worker environment
+ * @param {Array} commits - Raw commit objects with repo/org
+ * @param {Object} tokens - Token per repo key (see resolveRepoTokens)
+ * @returns {Promise<boolean>} True if every commit received stats
  */
-function groupCommitsByDay(commits) {
-  const dayGroups = {};
+async function attachCommitStats(env, commits, tokens) {
+  const budget = { remaining: MAX_STATS_FETCHES };
+  const fetched = [];
   
-  commits.forEach(commit => {
-    const commitDate = new Date(commit.commit.author.date);
-    const dayId = formatDate(commitDate);
-    
-    if (!dayGroups[dayId]) {
-      dayGroups[dayId] = [];
+  await mapWithConcurrency(commits, STATS_FETCH_CONCURRENCY, async commit => {
+    // Stored with the commit, or loaded with it (GraphQL backend, GitLab)
+    if (commit.lineStats) {
+      commit.stats = commit.lineStats;
+      return;
     }
+    // Other source providers have no per-commit stats endpoint to fall back on
+    if (commit.provider) return;
     
-    dayGroups[dayId].push(commit);
+    const stats = await fetchCommitStats(commit.repo, tokens[commit.repo], commit.sha, budget)
+      .catch(error => {
+        console.error(`Error fetching stats for ${commit.repo}@${commit.sha}:`, error);
+        // Stop spending requests once GitHub has cut us off
+        if (error.rateLimited) budget.remaining = 0;
+        return null;
+      });
+    if (stats) {
+      commit.stats = stats;
+      fetched.push({ ...commit, lineStats: stats });
+    }
   });
   
-  return dayGroups;
+  await storeCommitStats(env, fetched);
+  return commits.every(commit => commit.stats || commit.provider);
 }
 
 /**
- * Groups commits by month
- * @param {Array} commits - Array of commit objects
- * @returns {Object} Object with month IDs (YYYY-MM) as keys
+ * GraphQL history backend
+ * Used instead of the REST commit store when repos.json sets "githubApi": "graphql".
+ * Each query pages through the history of up to GRAPHQL_MAX_TARGETS_PER_QUERY
+ * repos (or repo branches) at once, with line stats and the merged pull request
+ * of every commit inline. Commits are converted to the REST shape so
+ * formatCommit and everything downstream work unchanged.
  */
-function groupCommitsByMonth(commits) {
-  const monthGroups = {};
-  
-  commits.forEach(commit => {
-    const commitDate = new Date(commit.commit.author.date);
-    const monthId = `${commitDate.getFullYear()}-${String(commitDate.getMonth() + 1).padStart(2, '0')}`;
-    
-    if (!monthGroups[monthId]) {
-      monthGroups[monthId] = [];
+
+const GRAPHQL_HISTORY_FRAGMENT = `
+fragment HistoryPage on CommitHistoryConnection {
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    oid
+    url
+    message
+    additions
+    deletions
+    changedFilesIfAvailable
+    author { name email date }
+    associatedPullRequests(first: 5) {
+      nodes { number title url merged }
     }
-    
-    monthGroups[monthId].push(commit);
-  });
-  
-  return monthGroups;
+  }
+}`;
+
+/**
+ * Checks whether the repos config selects the GraphQL backend
+ * @param {Object} config - Repos config
+ * @returns {boolean} True for "githubApi": "graphql"
+ */
+function usesGraphQL(config) {
+  return config.githubApi === 'graphql';
 }
 
 /**
- * Groups commits by year
- * @param {Array} commits - Array of commit objects
- * @returns {Object} Object with year IDs (YYYY) as keys
+ * Builds a query for the next history page of several repo/branch targets
+ * @param {Array<Object>} targets - Targets ({ repo, branch, cursor })
+ * @returns {string} GraphQL query with one alias (t0, t1, ...) per target
  */
-function groupCommitsByYear(commits) {
-  const yearGroups = {};
-  
-  commits.forEach(commit => {
-    const commitDate = new Date(commit.commit.author.date);
-    const yearId = String(commitDate.getFullYear());
+function buildHistoryQuery(targets) {
+  const fields = targets.map((target, index) => {
+    const { owner, name } = parseRepoKey(target.repo);
+    const ref = target.branch
+      ? `ref(qualifiedName: ${JSON.stringify(`refs/heads/${target.branch}`)})`
+      : 'defaultBranchRef';
+    const after = target.cursor ? `, after: ${JSON.stringify(target.cursor)}` : '';
     
-    if (!yearGroups[yearId]) {
-      yearGroups[yearId] = [];
+    return `t${index}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}) {
+    ref: ${ref} {
+      target {
+        ... on Commit {
+          history(first: ${GRAPHQL_HISTORY_PAGE_SIZE}, since: $since, until: $until${after}) { ...HistoryPage }
+        }
+      }
     }
-    
-    yearGroups[yearId].push(commit);
+  }`;
   });
   
-  return yearGroups;
+  return `query($since: GitTimestamp, $until: GitTimestamp) {
+  ${fields.join('\n  ')}
+}
+${GRAPHQL_HISTORY_FRAGMENT}`;
 }
 
 /**
- * Gets human-readable label for a group
- * @param {string} groupId - Group identifier
- * @param {string} groupBy - Grouping type (day, week, month, year)
- * @returns {string} Human-readable label
+ * Converts a GraphQL history node into the REST commit shape
+ * GraphQL does not list changed paths, so lineStats.files is empty and the
+ * file count comes from changedFilesIfAvailable
+ * @param {Object} node - Commit node from the history connection
+ * @param {string} repo - Repository key (owner/name)
+ * @returns {Object} Raw commit with repo/org, lineStats and pullRequest (when merged through one)
  */
-function getGroupLabel(groupId, groupBy) {
-  const months = ['January', 'February', 'March', 'April', 'May', 'June',
-                  'July', 'August', 'September', 'October', 'November', 'December'];
+function fromGraphQLCommit(node, repo) {
+  const mergedPull = (node.associatedPullRequests?.nodes || []).find(pull => pull.merged);
   
-  switch (groupBy) {
-    case 'day':
-      const dayDate = new Date(groupId);
-      return dayDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-    case 'week':
-      const weekStart = new Date(groupId);
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekEnd.getDate() + 6);
-      return `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
-    case 'month':
-      const [year, month] = groupId.split('-');
-      return `${months[parseInt(month) - 1]} ${year}`;
-    case 'year':
-      return groupId;
-    default:
-      return groupId;
-  }
-}
-
-/**
- * Formats a commit object for API response
- * @param {Object} commit - Raw commit object from GitHub
- * @returns {Object} Formatted commit object
- */
-function formatCommit(commit) {
   return {
-    sha: commit.sha,
-    shortSha: commit.sha.substring(0, 7),
-    message: commit.commit.message,
-    messageFirstLine: commit.commit.message.split('\n')[0],
-    author: commit.commit.author.name,
-    authorEmail: commit.commit.author.email,
-    date: commit.commit.author.date,
-    repo: commit.repo,
-    org: commit.org,
-    url: commit.html_url
+    sha: node.oid,
+    commit: {
+      message: node.message,
+      author: {
+        name: node.author?.name,
+        email: node.author?.email,
+        date: node.author?.date
+      }
+    },
+    html_url: node.url,
+    repo: repo,
+    org: parseRepoKey(repo).owner,
+    lineStats: {
+      additions: node.additions,
+      deletions: node.deletions,
+      filesChanged: node.changedFilesIfAvailable ?? 0,
+      files: []
+    },
+    ...(mergedPull ? {
+      pullRequest: { number: mergedPull.number, title: mergedPull.title, url: mergedPull.url }
+    } : {})
   };
 }
 
 /**
- * Gets cache key for a specific query
- * @param {string} endpoint - API endpoint
- * @param {Object} params - Query parameters
- * @returns {string} Cache key
+ * Fetches the next history page for a batch of targets (targets are updated in place)
+ * @param {Array<Object>} batch - Targets ({ repo, branch, cursor, commits, done })
+ * @param {Object} variables - Query variables ({ since, until })
+ * @param {string} token - Token that can read every repo in the batch
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
  */
-function getCacheKey(endpoint, params = {}) {
-  const paramString = Object.keys(params)
-    .sort()
-    .map(key => `${key}=${params[key]}`)
-    .join('&');
-  return `${endpoint}${paramString ? `?${paramString}` : ''}`;
+async function fetchHistoryBatch(batch, variables, token, report = null) {
+  let body;
+  try {
+    body = await githubGraphQL(buildHistoryQuery(batch), variables, token);
+    if (!body.data) {
+      throw new Error(`GitHub GraphQL error: ${body.errors?.[0]?.message || 'no data'}`);
+    }
+  } catch (error) {
+    console.error('Error fetching commit history batch:', error);
+    batch.forEach(target => {
+      target.done = true;
+      target.commits = [];
+      recordFetchFailure(report, target.repo, error);
+    });
+    return;
+  }
+  
+  // Errors for a single alias (e.g. an unknown repo) only fail that target
+  const errorsByAlias = new Map();
+  (body.errors || []).forEach(error => {
+    if (error.path) errorsByAlias.set(error.path[0], error);
+  });
+  
+  batch.forEach((target, index) => {
+    const alias = `t${index}`;
+    if (errorsByAlias.has(alias)) {
+      console.error(`GraphQL error for ${target.repo}: ${errorsByAlias.get(alias).message}`);
+      target.done = true;
+      target.commits = [];
+      recordFetchFailure(report, target.repo, new Error(errorsByAlias.get(alias).message));
+      return;
+    }
+    
+    // A missing branch or an empty repo has no history to read
+    const history = body.data[alias]?.ref?.target?.history;
+    if (!history) {
+      target.done = true;
+      return;
+    }
+    
+    target.commits.push(...history.nodes.map(node => fromGraphQLCommit(node, target.repo)));
+    target.cursor = history.pageInfo.endCursor;
+    target.done = !history.pageInfo.hasNextPage;
+  });
 }
 
 /**
- * Gets cached data from KV
- * @param {Object} env - Worker environment (contains KV namespace)
- * @param {string} key - Cache key
- * @returns {Promise<Object|null>} Cached data or null
+ * Fetches commits from multiple repositories through the GraphQL API
+ * Same result as fetchAllCommits, with line stats and merged pull requests attached
+ * Repos read with different tokens are queried in separate batches
+ * @param {Array<string>} repos - Repository keys (owner/name)
+ * @param {Object} tokens - Token per repo key (see resolveRepoTokens)
+ * @param {string} since - ISO date string (YYYY-MM-DD)
+ * @param {string} until - ISO date string (YYYY-MM-DD)
+ * @param {Object} branchesByRepo - Branch setting per repo key (see resolveRepoBranches)
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
+ * @returns {Promise<Array>} Array of all commits from all repos
  */
-async function getCachedData(env, key) {
-  // Skip caching if KV namespace is not available
-  if (!env.EOYR_CACHE) {
-    console.log('KV namespace not available, skipping cache read');
-    return null;
-  }
+async function fetchAllCommitsGraphQL(repos, tokens, since = null, until = null, branchesByRepo = {}, report = null) {
+  // One target per repo, or per repo branch when branches are selected
+  const targetsByRepo = await mapWithConcurrency(repos, REPO_FETCH_CONCURRENCY, async repo => {
+    const setting = branchesByRepo[repo];
+    try {
+      const branchNames = setting === ALL_BRANCHES
+        ? await fetchAllBranchNames(repo, tokens[repo])
+        : setting || [null];
+      return branchNames.map(branch => ({ repo, branch, cursor: null, commits: [], done: false }));
+    } catch (error) {
+      console.error(`Error listing branches of ${repo}:`, error);
+      recordFetchFailure(report, repo, error);
+      return [];
+    }
+  });
   
-  try {
-    const cached = await env.EOYR_CACHE.get(key, 'json');
-    if (cached && cached.expires > Date.now()) {
-      return cached.data;
+  const variables = {
+    since: since ? new Date(since).toISOString() : null,
+    until: until ? getUntilTimestamp(until) : null
+  };
+  
+  let pending = targetsByRepo.flat();
+  let pageCount = 0;
+  const maxPages = 20; // Safety limit to prevent infinite loops
+  
+  while (pending.length > 0 && pageCount < maxPages) {
+    const byToken = new Map();
+    pending.forEach(target => {
+      const token = tokens[target.repo];
+      byToken.set(token, [...(byToken.get(token) || []), target]);
+    });
+    
+    for (const [token, targets] of byToken) {
+      for (let i = 0; i < targets.length; i += GRAPHQL_MAX_TARGETS_PER_QUERY) {
+        await fetchHistoryBatch(targets.slice(i, i + GRAPHQL_MAX_TARGETS_PER_QUERY), variables, token, report);
+      }
     }
-  } catch (error) {
-    console.error('Error reading from cache:', error);
+    pending = pending.filter(target => !target.done);
+    pageCount++;
   }
-  return null;
+  
+  new Set(pending.map(target => target.repo)).forEach(repo => recordFetchTruncation(report, repo));
+  
+  return repos.flatMap((repo, index) => {
+    const targets = targetsByRepo[index];
+    if (!branchesByRepo[repo]) {
+      return targets.flatMap(target => target.commits);
+    }
+    return mergeBranchCommits(targets.map(target => ({ branch: target.branch, commits: target.commits })));
+  });
 }
 
 /**
- * Stores data in KV cache
- * @param {Object} env - Worker environment
- * @param {string} key - Cache key
- * @param {Object} data - Data to cache
- * @param {number} ttl - Time to live in seconds
+ * Source providers
+ * A repo names its host with "provider" in repos.json: "github" (default),
+ * "gitlab" or "bitbucket". A provider lists a repo's commits and branches and
+ * converts its API's commits to the GitHub REST shape, so the commit store,
+ * formatCommit and everything downstream work unchanged. The converters are
+ * pure functions of one API response item, exported for tests. Pull requests,
+ * issues, releases, per-commit stats lookups and webhooks are GitHub-only.
  */
-async function setCachedData(env, key, data, ttl = CACHE_TTL) {
-  // Skip caching if KV namespace is not available
-  if (!env.EOYR_CACHE) {
-    console.log('KV namespace not available, skipping cache write');
-    return;
+
+/**
+ * Follows a paginated list endpoint of a source provider
+ * @param {string} startUrl - First page URL
+ * @param {Function} fetchPage - Resolves a page URL to { items, next } (next is null on the last page)
+ * @param {Function} shouldStop - Called with each page's items; return true to stop paging
+ * @param {Function} onTruncated - Called when the page limit is hit with pages left unread (optional)
+ * @returns {Promise<Array>} Items from every page read
+ */
+export async function collectPages(startUrl, fetchPage, shouldStop = () => false, onTruncated = null) {
+  const items = [];
+  let url = startUrl;
+  let pageCount = 0;
+  const maxPages = 20; // Safety limit to prevent infinite loops
+  
+  while (url && pageCount < maxPages) {
+    const page = await fetchPage(url);
+    items.push(...page.items);
+    pageCount++;
+    url = shouldStop(page.items) ? null : page.next;
   }
   
-  try {
-    const cacheValue = {
-      data: data,
-      expires: Date.now() + (ttl * 1000)
-    };
-    await env.EOYR_CACHE.put(key, JSON.stringify(cacheValue));
-  } catch (error) {
-    console.error('Error writing to cache:', error);
+  if (url && onTruncated) {
+    onTruncated();
   }
+  return items;
 }
 
 /**
- * Part 3: API Endpoints with Filtering
+ * Lists the branch names of a GitHub repository
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Array<string>>} Branch names
  */
+async function fetchGitHubBranches(repo, token) {
+  const branches = await fetchAllPages(
+    `${GITHUB_API_BASE}/repos/${repo}/branches?per_page=100`,
+    token,
+    page => page.length < 100
+  );
+  return branches.map(branch => branch.name);
+}
 
 /**
- * Gets list of repositories from config
- * @param {Object} env - Worker environment
- * @returns {Promise<Array>} Array of repo objects
+ * Gets the default branch name of a GitHub repository
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<string>} Branch name
  */
-async function getRepos(env) {
-  // In production, this would fetch from config/repos.json
-  // For now, return hardcoded list (can be made configurable via env var)
-  const reposConfig = env.REPOS_CONFIG || JSON.stringify({
-    organization: "core-home-web",
-    repos: [
-      { name: "hydragearbottle_website", displayName: "Hydragear Bottle" },
-      { name: "core_render_portal", displayName: "Core Render Portal" },
-      { name: "outlaw_spice", displayName: "Outlaw Spice" },
-      { name: "people_of_spice", displayName: "People of Spice" },
-      { name: "thyme-and-table", displayName: "Thyme & Table" },
-      { name: "spice-st-market", displayName: "Spice St Market" }
-    ]
-  });
-  
-  return JSON.parse(reposConfig);
+async function fetchGitHubDefaultBranch(repo, token) {
+  const response = await githubGet(`${GITHUB_API_BASE}/repos/${repo}`, token);
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} - ${await response.text()}`);
+  }
+  return (await response.json()).default_branch;
 }
 
 /**
- * API endpoint: GET /api/repos
- * Returns list of available repositories
+ * Makes a GET request to the GitLab API
+ * @param {string} url - Full API URL
+ * @param {string|null} token - GitLab personal, project or group access token (null for public projects)
+ * @returns {Promise<Response>} Fetch response (see apiRequest)
  */
-async function handleGetRepos(env) {
-  const config = await getRepos(env);
-  return new Response(JSON.stringify({
-    repos: config.repos,
-    organization: config.organization
-  }), {
-    headers: { 'Content-Type': 'application/json' }
+async function gitlabGet(url, token) {
+  return apiRequest(url, `gitlab:${new URL(url).host}:${token}`, {
+    headers: {
+      ...(token ? { 'PRIVATE-TOKEN': token } : {}),
+      'User-Agent': 'EOYR-Dashboard/1.0'
+    }
   });
 }
 
 /**
- * API endpoint: GET /api/weeks
- * Returns list of weeks with commit summaries, filtered by date range and repo
+ * Fetches one page of a GitLab list endpoint
+ * @param {string} url - Page URL
+ * @param {string|null} token - GitLab access token
+ * @returns {Promise<Object>} Page ({ items, next })
  */
-async function handleGetWeeks(request, env) {
-  const url = new URL(request.url);
-  const since = url.searchParams.get('from');
-  const until = url.searchParams.get('to');
-  const repoFilter = url.searchParams.get('repo'); // Single repo or comma-separated list
-  
-  // Check cache first
-  const cacheKey = getCacheKey('weeks', { from: since, to: until, repo: repoFilter });
-  const cached = await getCachedData(env, cacheKey);
-  if (cached) {
-    return new Response(JSON.stringify(cached), {
-      headers: { 'Content-Type': 'application/json' }
-    });
+async function fetchGitLabPage(url, token) {
+  const response = await gitlabGet(url, token);
+  if (!response.ok) {
+    throw new Error(`GitLab API error: ${response.status} - ${await response.text()}`);
   }
-  
-  // Get repos config
-  const config = await getRepos(env);
-  const token = env.GITHUB_TOKEN;
-  
-  if (!token) {
-    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+  return { items: await response.json(), next: getNextPageUrl(response.headers.get('Link')) };
+}
+
+/**
+ * Converts a GitLab commit into the GitHub REST commit shape
+ * GitLab reports line counts (with_stats) but not which files changed
+ * @param {Object} raw - Commit from GET /projects/:id/repository/commits
+ * @param {string} repo - Repository key (group/project)
+ * @returns {Object} Raw commit with repo/org/provider, and lineStats when GitLab sent stats
+ */
+export function fromGitLabCommit(raw, repo) {
+  return {
+    sha: raw.id,
+    commit: {
+      message: raw.message,
+      author: {
+        name: raw.author_name,
+        email: raw.author_email,
+        date: raw.authored_date
+      }
+    },
+    html_url: raw.web_url,
+    repo: repo,
+    org: parseRepoKey(repo).owner,
+    provider: 'gitlab',
+    ...(raw.stats ? {
+      lineStats: {
+        additions: raw.stats.additions,
+        deletions: raw.stats.deletions,
+        filesChanged: 0,
+        files: []
+      }
+    } : {})
+  };
+}
+
+/**
+ * Fetches commits from a GitLab project (the "gitlab" source provider)
+ * @param {string} apiBase - API URL of the GitLab instance (ends in /api/v4)
+ * @param {string} repo - Repository key (group/project, subgroups included)
+ * @param {string|null} token - GitLab access token
+ * @param {string} since - ISO date string (YYYY-MM-DD)
+ * @param {string} until - ISO date string (YYYY-MM-DD)
+ * @param {Object} options - Optional fetch settings (see fetchRepoCommits)
+ * @returns {Promise<Array>} Commits in the GitHub REST shape, newest first
+ */
+async function fetchGitLabCommits(apiBase, repo, token, since = null, until = null, options = {}) {
+  const { stopAtSha = null, branch = null, onTruncated = null, excludeShas = null } = options;
+  const url = new URL(`${apiBase}/projects/${encodeURIComponent(repo)}/repository/commits`);
+  if (branch) {
+    url.searchParams.set('ref_name', branch);
   }
-  
-  // Filter repos if repoFilter is provided
-  let reposToFetch = config.repos.map(r => r.name);
-  if (repoFilter) {
-    const filterList = repoFilter.split(',').map(r => r.trim());
-    reposToFetch = reposToFetch.filter(r => filterList.includes(r));
+  if (since) {
+    url.searchParams.set('since', new Date(since).toISOString());
   }
+  if (until) {
+    url.searchParams.set('until', getUntilTimestamp(until));
+  }
+  url.searchParams.set('with_stats', 'true');
+  url.searchParams.set('per_page', '100');
   
-  // Fetch commits
-  const commits = await fetchAllCommits(
-    reposToFetch,
-    config.organization,
-    token,
-    since,
-    until
-  );
-  
-  // Group by week
-  const weekGroups = groupCommitsByWeek(commits);
-  
-  // Format response
-  const weeks = Object.keys(weekGroups)
-    .sort()
-    .reverse() // Newest first
-    .map(weekId => {
-      const weekCommits = weekGroups[weekId];
-      const weekStart = new Date(weekId);
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekEnd.getDate() + 6);
-      
-      // Get unique repos for this week
-      const repos = [...new Set(weekCommits.map(c => c.repo))];
-      
-      return {
-        weekId: weekId,
-        startDate: formatDate(weekStart),
-        endDate: formatDate(weekEnd),
-        commitCount: weekCommits.length,
-        repos: repos,
-        repoCount: repos.length
-      };
-    });
-  
-  const response = { weeks: weeks };
-  
-  // Cache the response
-  await setCachedData(env, cacheKey, response);
+  const commits = (await collectPages(
+    url.toString(),
+    pageUrl => fetchGitLabPage(pageUrl, token),
+    page => (!!stopAtSha && page.some(raw => raw.id === stopAtSha)) ||
+      reachedExcludedHistory(page.map(raw => raw.id), excludeShas),
+    onTruncated
+  )).map(raw => fromGitLabCommit(raw, repo));
   
-  return new Response(JSON.stringify(response), {
-    headers: { 'Content-Type': 'application/json' }
+  const stopIndex = stopAtSha ? commits.findIndex(commit => commit.sha === stopAtSha) : -1;
+  return (stopIndex === -1 ? commits : commits.slice(0, stopIndex)).filter(commit => !excludeShas?.has(commit.sha));
+}
+
+/**
+ * Lists the branch names of a GitLab project
+ * @param {string} apiBase - API URL of the GitLab instance (ends in /api/v4)
+ * @param {string} repo - Repository key (group/project)
+ * @param {string|null} token - GitLab access token
+ * @returns {Promise<Array<string>>} Branch names
+ */
+async function fetchGitLabBranches(apiBase, repo, token) {
+  const branches = await collectPages(
+    `${apiBase}/projects/${encodeURIComponent(repo)}/repository/branches?per_page=100`,
+    pageUrl => fetchGitLabPage(pageUrl, token)
+  );
+  return branches.map(branch => branch.name);
+}
+
+/**
+ * Gets the default branch name of a GitLab project
+ * @param {string} apiBase - API URL of the GitLab instance (ends in /api/v4)
+ * @param {string} repo - Repository key (group/project)
+ * @param {string|null} token - GitLab access token
+ * @returns {Promise<string>} Branch name
+ */
+async function fetchGitLabDefaultBranch(apiBase, repo, token) {
+  const response = await gitlabGet(`${apiBase}/projects/${encodeURIComponent(repo)}`, token);
+  if (!response.ok) {
+    throw new Error(`GitLab API error: ${response.status} - ${await response.text()}`);
+  }
+  return (await response.json()).default_branch;
+}
+
+/**
+ * Creates the source provider of a GitLab instance
+ * @param {string} apiBase - API URL of the instance (ends in /api/v4)
+ * @returns {Object} Source provider ({ fetchCommits, fetchBranches, fetchDefaultBranch, commitsPageUrl })
+ */
+function createGitLabProvider(apiBase) {
+  const webBase = apiBase.replace(/\/api\/v4\/?$/, '');
+  return {
+    fetchCommits: (...args) => fetchGitLabCommits(apiBase, ...args),
+    fetchBranches: (...args) => fetchGitLabBranches(apiBase, ...args),
+    fetchDefaultBranch: (...args) => fetchGitLabDefaultBranch(apiBase, ...args),
+    commitsPageUrl: repo => `${webBase}/${repo}/-/commits`
+  };
+}
+
+/**
+ * Makes a GET request to the Bitbucket Cloud API
+ * Access tokens are sent as bearer tokens, "username:app-password" pairs with basic auth
+ * @param {string} url - Full API URL
+ * @param {string|null} token - Bitbucket access token or username:app-password (null for public repos)
+ * @returns {Promise<Response>} Fetch response (see apiRequest)
+ */
+async function bitbucketGet(url, token) {
+  const authorization = token && (token.includes(':') ? `Basic ${btoa(token)}` : `Bearer ${token}`);
+  return apiRequest(url, `bitbucket:${token}`, {
+    headers: {
+      ...(authorization ? { 'Authorization': authorization } : {}),
+      'Accept': 'application/json',
+      'User-Agent': 'EOYR-Dashboard/1.0'
+    }
   });
 }
 
 /**
- * API endpoint: GET /api/weeks/:weekId
- * Returns detailed commits for a specific week
+ * Fetches a Bitbucket Cloud API resource as JSON
+ * @param {string} url - Full API URL
+ * @param {string|null} token - Bitbucket credentials (see bitbucketGet)
+ * @returns {Promise<Object>} Parsed body
  */
-async function handleGetWeekDetail(request, env, weekId) {
-  // Check cache first
-  const cacheKey = getCacheKey(`week-${weekId}`);
-  const cached = await getCachedData(env, cacheKey);
-  if (cached) {
-    return new Response(JSON.stringify(cached), {
-      headers: { 'Content-Type': 'application/json' }
-    });
+async function fetchBitbucketJson(url, token) {
+  const response = await bitbucketGet(url, token);
+  if (!response.ok) {
+    throw new Error(`Bitbucket API error: ${response.status} - ${await response.text()}`);
   }
-  
-  // Get week start and end dates
-  const weekStart = new Date(weekId);
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekEnd.getDate() + 6);
-  
-  const since = formatDate(weekStart);
-  const until = formatDate(weekEnd);
-  
-  // Get repos config
-  const config = await getRepos(env);
-  const token = env.GITHUB_TOKEN;
-  
-  if (!token) {
+  return response.json();
+}
+
+/**
+ * Fetches one page of a Bitbucket Cloud list endpoint
+ * @param {string} url - Page URL
+ * @param {string|null} token - Bitbucket credentials (see bitbucketGet)
+ * @returns {Promise<Object>} Page ({ items, next })
+ */
+async function fetchBitbucketPage(url, token) {
+  const body = await fetchBitbucketJson(url, token);
+  return { items: body.values || [], next: body.next || null };
+}
+
+/**
+ * Splits a git author line ("Name <email>") into name and email
+ * @param {string} raw - Author line
+ * @returns {Object} Object with name and email (null when missing)
+ */
+function parseGitAuthor(raw) {
+  const match = /^(.*?)\s*<([^>]*)>\s*$/.exec(raw || '');
+  return match
+    ? { name: match[1] || null, email: match[2] || null }
+    : { name: raw || null, email: null };
+}
+
+/**
+ * Gets the main branch name of a Bitbucket Cloud repository
+ * @param {string} repo - Repository key (workspace/repo)
+ * @param {string|null} token - Bitbucket credentials (see bitbucketGet)
+ * @returns {Promise<string>} Branch name
+ */
+async function fetchBitbucketMainBranch(repo, token) {
+  return (await fetchBitbucketJson(`${BITBUCKET_API_BASE}/repositories/${repo}`, token)).mainbranch.name;
+}
+
+/**
+ * Converts a Bitbucket Cloud commit into the GitHub REST commit shape
+ * Bitbucket has one commit date, which is used as the author date
+ * @param {Object} raw - Commit from GET /repositories/{workspace}/{repo}/commits
+ * @param {string} repo - Repository key (workspace/repo)
+ * @returns {Object} Raw commit with repo/org/provider
+ */
+export function fromBitbucketCommit(raw, repo) {
+  const author = parseGitAuthor(raw.author?.raw);
+  
+  return {
+    sha: raw.hash,
+    commit: {
+      message: raw.message,
+      author: {
+        name: author.name || raw.author?.user?.display_name || null,
+        email: author.email,
+        date: raw.date
+      }
+    },
+    html_url: raw.links?.html?.href || `https://bitbucket.org/${repo}/commits/${raw.hash}`,
+    repo: repo,
+    org: parseRepoKey(repo).owner,
+    provider: 'bitbucket'
+  };
+}
+
+/**
+ * Fetches commits from a Bitbucket Cloud repository (the "bitbucket" source provider)
+ * The API can't filter by date, so pages are read newest first until they
+ * reach commits older than since, and the range is applied here
+ * @param {string} repo - Repository key (workspace/repo)
+ * @param {string|null} token - Bitbucket credentials (see bitbucketGet)
+ * @param {string} since - ISO date string (YYYY-MM-DD)
+ * @param {string} until - ISO date string (YYYY-MM-DD)
+ * @param {Object} options - Optional fetch settings (see fetchRepoCommits)
+ * @returns {Promise<Array>} Commits in the GitHub REST shape, newest first
+ */
+async function fetchBitbucketCommits(repo, token, since = null, until = null, options = {}) {
+  const { stopAtSha = null, branch = null, onTruncated = null, excludeShas = null } = options;
+  const revision = branch || await getDefaultBranch(repo, token, 'bitbucket');
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(getUntilTimestamp(until)).getTime() : null;
+  
+  const commits = (await collectPages(
+    `${BITBUCKET_API_BASE}/repositories/${repo}/commits/${encodeURIComponent(revision)}?pagelen=100`,
+    pageUrl => fetchBitbucketPage(pageUrl, token),
+    page => (!!stopAtSha && page.some(raw => raw.hash === stopAtSha)) ||
+      (!!sinceTime && page.length > 0 && new Date(page[page.length - 1].date).getTime() < sinceTime) ||
+      reachedExcludedHistory(page.map(raw => raw.hash), excludeShas),
+    onTruncated
+  )).map(raw => fromBitbucketCommit(raw, repo));
+  
+  const stopIndex = stopAtSha ? commits.findIndex(commit => commit.sha === stopAtSha) : -1;
+  return (stopIndex === -1 ? commits : commits.slice(0, stopIndex)).filter(commit => {
+    const time = new Date(commit.commit.author.date).getTime();
+    return (!sinceTime || time >= sinceTime) && (!untilTime || time < untilTime) && !excludeShas?.has(commit.sha);
+  });
+}
+
+/**
+ * Lists the branch names of a Bitbucket Cloud repository
+ * @param {string} repo - Repository key (workspace/repo)
+ * @param {string|null} token - Bitbucket credentials (see bitbucketGet)
+ * @returns {Promise<Array<string>>} Branch names
+ */
+async function fetchBitbucketBranches(repo, token) {
+  const branches = await collectPages(
+    `${BITBUCKET_API_BASE}/repositories/${repo}/refs/branches?pagelen=100`,
+    pageUrl => fetchBitbucketPage(pageUrl, token)
+  );
+  return branches.map(branch => branch.name);
+}
+
+/**
+ * Source providers by the "provider" name of a repo entry
+ * fetchCommits, fetchBranches and fetchDefaultBranch take the arguments of
+ * fetchRepoCommits, fetchRepoBranches and getDefaultBranch; commitsPageUrl
+ * links to a repo's commit list on the web, for one day where the provider
+ * supports it
+ */
+const SOURCE_PROVIDERS = {
+  github: {
+    fetchCommits: fetchGitHubCommits,
+    fetchBranches: fetchGitHubBranches,
+    fetchDefaultBranch: fetchGitHubDefaultBranch,
+    commitsPageUrl: (repo, day = null) => `https://github.com/${repo}/commits${day ? `?since=${day}&until=${day}` : ''}`
+  },
+  gitlab: createGitLabProvider(GITLAB_API_BASE),
+  bitbucket: {
+    fetchCommits: fetchBitbucketCommits,
+    fetchBranches: fetchBitbucketBranches,
+    fetchDefaultBranch: fetchBitbucketMainBranch,
+    commitsPageUrl: repo => `https://bitbucket.org/${repo}/commits`
+  }
+};
+
+/**
+ * Adds a source provider, for tools that run this worker outside Cloudflare
+ * (scripts/build-local-data.mjs registers "local" to read git clones)
+ * @param {string} name - Provider name that repo entries select with "provider"
+ * @param {Object} provider - Provider ({ fetchCommits, fetchBranches, fetchDefaultBranch, commitsPageUrl })
+ */
+export function registerSourceProvider(name, provider) {
+  SOURCE_PROVIDERS[name] = provider;
+}
+
+/**
+ * Gets the provider name of a self-hosted GitLab instance, adding its provider on first use
+ * @param {string} apiBase - API URL of the instance (ends in /api/v4)
+ * @returns {string} Provider name ("gitlab:" followed by the API URL)
+ */
+function getGitLabProviderName(apiBase) {
+  const name = `gitlab:${apiBase}`;
+  if (!SOURCE_PROVIDERS[name]) {
+    SOURCE_PROVIDERS[name] = createGitLabProvider(apiBase);
+  }
+  return name;
+}
+
+/**
+ * Looks up a source provider
+ * @param {string} name - Provider name, default provider when empty
+ * @returns {Object} Provider ({ fetchCommits, fetchBranches, fetchDefaultBranch, commitsPageUrl })
+ */
+function getSourceProvider(name = DEFAULT_SOURCE_PROVIDER) {
+  const provider = SOURCE_PROVIDERS[name || DEFAULT_SOURCE_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown source provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Part 2: Week Grouping Logic and KV Caching
+ * Items are grouped by their calendar date in a time zone (UTC unless the
+ * request or repos.json names one), with weeks starting on the configured day.
+ */
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Calendar used when neither the request nor the config sets one (ISO weeks in UTC)
+ */
+const DEFAULT_CALENDAR = { timeZone: 'UTC', weekStartDay: 1 };
+
+// Intl formatters are costly to create, so one is kept per time zone
+const localDateFormatters = new Map();
+
+/**
+ * Gets the formatter that reads calendar dates in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} When the time zone is not recognized
+ */
+function getLocalDateFormatter(timeZone) {
+  if (!localDateFormatters.has(timeZone)) {
+    localDateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return localDateFormatters.get(timeZone);
+}
+
+/**
+ * Checks whether a time zone name is one the runtime knows
+ * @param {string} timeZone - IANA time zone name (e.g. America/New_York)
+ * @returns {boolean} True if dates can be read in the time zone
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getLocalDateFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves the calendar dates are grouped by
+ * @param {Object} config - Repos config (optional timeZone and weekStartDay)
+ * @param {string|null} timeZone - Time zone from the tz query parameter, overrides the config
+ * @returns {Object} { timeZone, weekStartDay } - weekStartDay is 0 (Sunday) to 6 (Saturday)
+ */
+function getCalendar(config, timeZone = null) {
+  const configured = WEEKDAY_NAMES.indexOf(String(config.weekStartDay || '').toLowerCase());
+  const configTimeZone = config.timeZone && isValidTimeZone(config.timeZone) ? config.timeZone : null;
+  
+  return {
+    timeZone: timeZone || configTimeZone || DEFAULT_CALENDAR.timeZone,
+    weekStartDay: configured === -1 ? DEFAULT_CALENDAR.weekStartDay : configured
+  };
+}
+
+/**
+ * Gets the tz value a response is cached under
+ * The configured time zone is what requests without tz (and the scheduled
+ * pre-warm) use, so a tz naming it shares their entries instead of adding one
+ * @param {Object} env - Worker environment (REPOS_CONFIG)
+ * @param {string|null} timeZone - Valid time zone from the tz query parameter
+ * @returns {string|null} Canonical time zone name, null for the configured one
+ */
+function getCacheTimeZone(env, timeZone) {
+  if (!timeZone) return null;
+  
+  const canonicalize = name => getLocalDateFormatter(name).resolvedOptions().timeZone;
+  const config = env.REPOS_CONFIG ? JSON.parse(env.REPOS_CONFIG) : {};
+  const canonical = canonicalize(timeZone);
+  return canonical === canonicalize(getCalendar(config).timeZone) ? null : canonical;
+}
+
+/**
+ * Gets the calendar date of an instant in a time zone
+ * @param {Date|string} date - Instant to read
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getLocalDateId(date, timeZone = DEFAULT_CALENDAR.timeZone) {
+  const instant = new Date(date);
+  if (timeZone === 'UTC') {
+    return formatDate(instant);
+  }
+  
+  const parts = {};
+  getLocalDateFormatter(timeZone).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Moves a YYYY-MM-DD date by a number of days
+ * @param {string} dayId - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+function shiftDateId(dayId, days) {
+  const date = new Date(`${dayId}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * Checks whether an instant falls on a local date within a range
+ * @param {Date|string} date - Instant to check
+ * @param {string|null} since - First date (YYYY-MM-DD), null for no lower bound
+ * @param {string|null} until - Last date (YYYY-MM-DD), null for no upper bound
+ * @param {Object} calendar - Time zone the range is in (see getCalendar)
+ * @returns {boolean} True if the local date is within the range
+ */
+function isInDateRange(date, since, until, calendar = DEFAULT_CALENDAR) {
+  const day = getLocalDateId(date, calendar.timeZone);
+  return (!since || day >= since) && (!until || day <= until);
+}
+
+/**
+ * Widens a range of local dates to the UTC dates it overlaps, for fetching
+ * A local day starts up to 14 hours either side of UTC midnight, so one day is
+ * added at each end; results are then trimmed with isInDateRange
+ * @param {string|null} since - First local date (YYYY-MM-DD)
+ * @param {string|null} until - Last local date (YYYY-MM-DD)
+ * @param {Object} calendar - Time zone the range is in (see getCalendar)
+ * @returns {Object} { since, until } as UTC dates
+ */
+function toUtcDateRange(since, until, calendar = DEFAULT_CALENDAR) {
+  if (calendar.timeZone === 'UTC') {
+    return { since, until };
+  }
+  return {
+    since: since && shiftDateId(since, -1),
+    until: until && shiftDateId(until, 1)
+  };
+}
+
+/**
+ * Gets the start of the week containing a date
+ * @param {Date} date - Date to get week start for (read as a UTC calendar date)
+ * @param {number} weekStartDay - First day of the week, 0 (Sunday) to 6 (default Monday)
+ * @returns {Date} First day of that week
+ */
+function getWeekStart(date, weekStartDay = DEFAULT_CALENDAR.weekStartDay) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() - (d.getUTCDay() - weekStartDay + 7) % 7);
+  return d;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Gets the week identifier of a calendar date
+ * @param {string} dayId - Local date (YYYY-MM-DD)
+ * @param {number} weekStartDay - First day of the week, 0 (Sunday) to 6
+ * @returns {string} Week identifier (YYYY-MM-DD of the first day of the week)
+ */
+function getWeekIdOfDay(dayId, weekStartDay = DEFAULT_CALENDAR.weekStartDay) {
+  return formatDate(getWeekStart(new Date(`${dayId}T00:00:00Z`), weekStartDay));
+}
+
+/**
+ * Gets the week identifier (YYYY-MM-DD of the first day of the week)
+ * @param {Date} date - Date to get week ID for
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {string} Week identifier
+ */
+function getWeekId(date, calendar = DEFAULT_CALENDAR) {
+  return getWeekIdOfDay(getLocalDateId(date, calendar.timeZone), calendar.weekStartDay);
+}
+
+/**
+ * Gets the month identifier (YYYY-MM) for a date
+ * @param {Date} date - Date to get month ID for
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {string} Month identifier
+ */
+function getMonthId(date, calendar = DEFAULT_CALENDAR) {
+  return getLocalDateId(date, calendar.timeZone).substring(0, 7);
+}
+
+/**
+ * Gets the date a commit is grouped and filtered by (author date)
+ * @param {Object} commit - Raw commit object
+ * @returns {string} ISO date string
+ */
+function getCommitDate(commit) {
+  return commit.commit.author.date;
+}
+
+/**
+ * Groups commits by week
+ * @param {Array} commits - Array of commit objects
+ * @param {Function} getDate - Returns the date to group an item by (defaults to commit author date)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with week IDs as keys and arrays of commits as values
+ */
+function groupCommitsByWeek(commits, getDate = getCommitDate, calendar = DEFAULT_CALENDAR) {
+  const weekGroups = {};
+  
+  commits.forEach(commit => {
+    const commitDate = new Date(getDate(commit));
+    const weekId = getWeekId(commitDate, calendar);
+    
+    if (!weekGroups[weekId]) {
+      weekGroups[weekId] = [];
+    }
+    
+    weekGroups[weekId].push(commit);
+  });
+  
+  return weekGroups;
+}
+
+/**
+ * Groups commits by day
+ * @param {Array} commits - Array of commit objects
+ * @param {Function} getDate - Returns the date to group an item by (defaults to commit author date)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with day IDs (YYYY-MM-DD) as keys
+ */
+function groupCommitsByDay(commits, getDate = getCommitDate, calendar = DEFAULT_CALENDAR) {
+  const dayGroups = {};
+  
+  commits.forEach(commit => {
+    const commitDate = new Date(getDate(commit));
+    const dayId = getLocalDateId(commitDate, calendar.timeZone);
+    
+    if (!dayGroups[dayId]) {
+      dayGroups[dayId] = [];
+    }
+    
+    dayGroups[dayId].push(commit);
+  });
+  
+  return dayGroups;
+}
+
+/**
+ * Groups commits by month
+ * @param {Array} commits - Array of commit objects
+ * @param {Function} getDate - Returns the date to group an item by (defaults to commit author date)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with month IDs (YYYY-MM) as keys
+ */
+function groupCommitsByMonth(commits, getDate = getCommitDate, calendar = DEFAULT_CALENDAR) {
+  const monthGroups = {};
+  
+  commits.forEach(commit => {
+    const monthId = getMonthId(new Date(getDate(commit)), calendar);
+    
+    if (!monthGroups[monthId]) {
+      monthGroups[monthId] = [];
+    }
+    
+    monthGroups[monthId].push(commit);
+  });
+  
+  return monthGroups;
+}
+
+/**
+ * Groups commits by year
+ * @param {Array} commits - Array of commit objects
+ * @param {Function} getDate - Returns the date to group an item by (defaults to commit author date)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with year IDs (YYYY) as keys
+ */
+function groupCommitsByYear(commits, getDate = getCommitDate, calendar = DEFAULT_CALENDAR) {
+  const yearGroups = {};
+  
+  commits.forEach(commit => {
+    const yearId = getLocalDateId(getDate(commit), calendar.timeZone).substring(0, 4);
+    
+    if (!yearGroups[yearId]) {
+      yearGroups[yearId] = [];
+    }
+    
+    yearGroups[yearId].push(commit);
+  });
+  
+  return yearGroups;
+}
+
+/**
+ * Groups items by day, week, month or year
+ * @param {Array} items - Commits or other dated items
+ * @param {string} groupBy - Grouping type (day, week, month, year)
+ * @param {Function} getDate - Returns the date to group an item by (defaults to commit author date)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with group IDs as keys and arrays of items as values
+ */
+function groupByPeriod(items, groupBy, getDate = getCommitDate, calendar = DEFAULT_CALENDAR) {
+  switch (groupBy) {
+    case 'day':
+      return groupCommitsByDay(items, getDate, calendar);
+    case 'month':
+      return groupCommitsByMonth(items, getDate, calendar);
+    case 'year':
+      return groupCommitsByYear(items, getDate, calendar);
+    case 'week':
+    default:
+      return groupCommitsByWeek(items, getDate, calendar);
+  }
+}
+
+/**
+ * Gets human-readable label for a group
+ * Group IDs are already local calendar dates, so they are formatted as UTC dates
+ * rather than shifted again by the Worker's clock
+ * @param {string} groupId - Group identifier
+ * @param {string} groupBy - Grouping type (day, week, month, year)
+ * @returns {string} Human-readable label
+ */
+function getGroupLabel(groupId, groupBy) {
+  const months = ['January', 'February', 'March', 'April', 'May', 'June',
+                  'July', 'August', 'September', 'October', 'November', 'December'];
+  
+  switch (groupBy) {
+    case 'day':
+      const dayDate = new Date(`${groupId}T00:00:00Z`);
+      return dayDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    case 'week':
+      const weekStart = new Date(`${groupId}T00:00:00Z`);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+      return `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })} - ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+    case 'month':
+      const [year, month] = groupId.split('-');
+      return `${months[parseInt(month) - 1]} ${year}`;
+    case 'year':
+      return groupId;
+    default:
+      return groupId;
+  }
+}
+
+/**
+ * Conventional Commits types, plus common spellings that mean the same thing
+ */
+const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const COMMIT_TYPE_ALIASES = {
+  feature: 'feat',
+  features: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  doc: 'docs',
+  tests: 'test',
+  refactoring: 'refactor'
+};
+
+/**
+ * Word patterns used to classify free-form messages, checked in order
+ * Words must match whole, so "address" is not "add" and "prefix" is not "fix"
+ */
+const COMMIT_TYPE_PATTERNS = [
+  ['revert', /^revert\b/],
+  ['fix', /\b(fix(es|ed|ing)?|bugs?|bugfix|hotfix|resolve[sd]?|patch(es|ed)?|correct(s|ed)?|repair(s|ed)?)\b/],
+  ['docs', /\b(docs?|documentation|document(s|ed)?|readme|guides?|comments?)\b/],
+  ['test', /\b(tests?|specs?|testing)\b/],
+  ['perf', /\b(perf|performance|optimi[sz](e[sd]?|ing)|speed up|faster)\b/],
+  ['refactor', /\b(refactor(s|ed|ing)?|clean(s|ed|up)?|remove[sd]?|delete[sd]?|drop(s|ped)?|rename[sd]?|simplif(y|ies|ied)|tidy)\b/],
+  ['build', /\b(bump(s|ed)?|deps|dependenc(y|ies)|upgrade[sd]?)\b/],
+  ['ci', /\b(ci|workflows?|pipelines?)\b/],
+  ['style', /\b(format(s|ted|ting)?|lint(s|ing)?|whitespace|prettier)\b/],
+  ['feat', /\b(add(s|ed)?|implement(s|ed)?|create[sd]?|introduce[sd]?|supports?|enable[sd]?|new|milestone|launch(es|ed)?)\b/]
+];
+
+/**
+ * Guesses the type of a message that doesn't follow Conventional Commits
+ * The leading verb decides first ("Fix add button" is a fix), then any word in the line
+ * @param {string} header - First line of the message
+ * @returns {string} Commit type, or 'other' when nothing matches
+ */
+function classifyCommitHeader(header) {
+  const text = header.toLowerCase();
+  
+  // Merge commits only record that branches came together
+  if (/^merge (pull request|branch|remote-tracking branch)\b/.test(text)) {
+    return 'chore';
+  }
+  
+  const firstWord = text.split(/\s+/)[0] || '';
+  const byVerb = COMMIT_TYPE_PATTERNS.find(([, pattern]) => pattern.test(firstWord));
+  if (byVerb) return byVerb[0];
+  
+  const byWord = COMMIT_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return byWord ? byWord[0] : 'other';
+}
+
+/**
+ * Parses a commit message as a Conventional Commit (type(scope)!: subject)
+ * Falls back to classifyCommitHeader for free-form messages
+ * @param {string} message - Full commit message
+ * @returns {Object} { type, scope, breaking, conventional, reverts } - reverts is the reverted SHA or null
+ */
+function parseCommitMessage(message) {
+  const [header, ...bodyLines] = (message || '').split('\n');
+  const body = bodyLines.join('\n');
+  const match = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*\S/);
+  const matchedType = match ? (COMMIT_TYPE_ALIASES[match[1].toLowerCase()] || match[1].toLowerCase()) : null;
+  const conventional = COMMIT_TYPES.includes(matchedType);
+  
+  // git revert writes 'Revert "<header>"' and "This reverts commit <sha>." in the body
+  const revertMatch = body.match(/This reverts commit ([0-9a-f]{7,40})/i);
+  
+  return {
+    type: conventional ? matchedType : classifyCommitHeader(header),
+    scope: conventional && match[2] ? match[2].trim() : null,
+    breaking: (conventional && !!match[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    conventional: conventional,
+    reverts: revertMatch ? revertMatch[1] : null
+  };
+}
+
+/**
+ * Checks whether a commit matches a type filter
+ * @param {Object} commit - Raw commit object
+ * @param {Array<string>} types - Commit types; 'breaking' matches breaking changes of any type
+ * @returns {boolean} True if the commit matches any of the types
+ */
+function commitMatchesType(commit, types) {
+  const parsed = parseCommitMessage(commit.commit.message);
+  return types.includes(parsed.type) || (types.includes('breaking') && parsed.breaking);
+}
+
+/**
+ * Formats a commit object for API response
+ * author is the canonical name from the authors config; authorEmail is the git author email
+ * @param {Object} commit - Raw commit object from GitHub
+ * @returns {Object} Formatted commit object
+ */
+function formatCommit(commit) {
+  const parsed = parseCommitMessage(commit.commit.message);
+  const identity = getCommitIdentity(commit);
+  return {
+    sha: commit.sha,
+    shortSha: commit.sha.substring(0, 7),
+    message: commit.commit.message,
+    messageFirstLine: commit.commit.message.split('\n')[0],
+    type: parsed.type,
+    scope: parsed.scope,
+    breaking: parsed.breaking,
+    // Only present on revert commits that name the reverted commit
+    ...(parsed.reverts ? { reverts: parsed.reverts } : {}),
+    author: identity.name,
+    authorId: identity.id,
+    authorEmail: commit.commit.author.email,
+    // Only present when the authors config gives the person an avatar, or marks a bot
+    ...(identity.avatar ? { authorAvatar: identity.avatar } : {}),
+    ...(identity.bot ? { bot: true } : {}),
+    date: commit.commit.author.date,
+    repo: commit.repo,
+    org: commit.org,
+    url: commit.html_url,
+    pullRequest: commit.pullRequest || null,
+    // Only present when reading specific branches or all branches
+    ...(commit.branches ? { branches: commit.branches } : {}),
+    // Only present when stats were requested (include=stats)
+    ...(commit.stats ? {
+      additions: commit.stats.additions,
+      deletions: commit.stats.deletions,
+      filesChanged: commit.stats.filesChanged ?? commit.stats.files.length,
+      files: commit.stats.files
+    } : {})
+  };
+}
+
+/**
+ * Sums line stats over commits that have them
+ * @param {Array} commits - Raw commit objects (with stats attached)
+ * @returns {Object} Totals ({ additions, deletions, filesChanged })
+ */
+function sumCommitStats(commits) {
+  return commits.reduce((totals, commit) => {
+    if (commit.stats) {
+      totals.additions += commit.stats.additions;
+      totals.deletions += commit.stats.deletions;
+      totals.filesChanged += commit.stats.filesChanged ?? commit.stats.files.length;
+    }
+    return totals;
+  }, { additions: 0, deletions: 0, filesChanged: 0 });
+}
+
+/**
+ * Gets cache key for a specific query
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @returns {string} Cache key
+ */
+function getCacheKey(endpoint, params = {}) {
+  const paramString = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return `${endpoint}${paramString ? `?${paramString}` : ''}`;
+}
+
+/**
+ * Gets cached data from KV
+ * @param {Object} env - Worker environment (contains KV namespace)
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached data or null
+ */
+async function getCachedData(env, key) {
+  // Skip caching if KV namespace is not available
+  if (!env.EOYR_CACHE) {
+    console.log('KV namespace not available, skipping cache read');
+    return null;
+  }
+  
+  // Scheduled pre-warming rebuilds entries even when they haven't expired yet
+  if (env.CACHE_REFRESH) {
+    return null;
+  }
+  
+  try {
+    const cached = await env.EOYR_CACHE.get(key, 'json');
+    if (cached && cached.expires > Date.now()) {
+      return cached.data;
+    }
+  } catch (error) {
+    console.error('Error reading from cache:', error);
+  }
+  return null;
+}
+
+/**
+ * Stores data in KV cache
+ * @param {Object} env - Worker environment
+ * @param {string} key - Cache key
+ * @param {Object} data - Data to cache
+ * @param {number} ttl - Time to live in seconds
+ * @param {Object} scope - Repos and date window the entry covers, used for invalidation
+ * @param {Array<string>} scope.repos - Repository keys (owner/name) included in the entry
+ * @param {string|null} scope.from - Start date (YYYY-MM-DD), null for open-ended
+ * @param {string|null} scope.to - End date (YYYY-MM-DD), null for open-ended (no "to" in the request)
+ */
+async function setCachedData(env, key, data, ttl = CACHE_TTL, scope = null) {
+  // Skip caching if KV namespace is not available
+  if (!env.EOYR_CACHE) {
+    console.log('KV namespace not available, skipping cache write');
+    return;
+  }
+  
+  try {
+    const cacheValue = {
+      data: data,
+      expires: Date.now() + (ttl * 1000)
+    };
+    await env.EOYR_CACHE.put(key, JSON.stringify(cacheValue));
+    
+    if (scope) {
+      await addToCacheIndex(env, key, scope, cacheValue.expires);
+    }
+  } catch (error) {
+    console.error('Error writing to cache:', error);
+  }
+}
+
+/**
+ * Gets the KV key prefix of the cache index for a repository
+ * @param {string} repo - Repository key (owner/name)
+ * @returns {string} Index key prefix
+ */
+function getCacheIndexPrefix(repo) {
+  return `cache-index:${repo}:`;
+}
+
+/**
+ * Records a cache key in the index of every repo it covers
+ * Each entry is a KV key of its own (expiring with the cache entry), so
+ * concurrent requests never overwrite each other's entries. The date window is
+ * kept in the key's metadata so a push only purges overlapping entries.
+ * @param {Object} env - Worker environment
+ * @param {string} key - Cache key that was written
+ * @param {Object} scope - Repos and date window the entry covers
+ * @param {number} expires - Expiry timestamp of the cache entry (ms)
+ */
+async function addToCacheIndex(env, key, scope, expires) {
+  const keyHash = await sha256Hex(key);
+  // KV expirations must be at least 60 seconds away
+  const expirationTtl = Math.max(60, Math.ceil((expires - Date.now()) / 1000));
+  
+  await Promise.all(scope.repos.map(repo =>
+    env.EOYR_CACHE.put(`${getCacheIndexPrefix(repo)}${keyHash}`, key, {
+      expirationTtl: expirationTtl,
+      metadata: { from: scope.from || null, to: scope.to || null, expires: expires }
+    })
+  ));
+}
+
+/**
+ * Checks whether a cache entry's date window overlaps a date range
+ * Missing bounds on the entry are treated as open-ended
+ * @param {Object} entry - Index entry with from/to dates (YYYY-MM-DD or null)
+ * @param {string} from - Start of the range (YYYY-MM-DD)
+ * @param {string} to - End of the range (YYYY-MM-DD)
+ * @returns {boolean} True if the windows overlap
+ */
+function cacheEntryOverlaps(entry, from, to) {
+  if (entry.from && entry.from > to) return false;
+  if (entry.to && entry.to < from) return false;
+  return true;
+}
+
+/**
+ * Purges cached responses for a repo whose date window overlaps a date range
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} from - Start date of the changed commits (YYYY-MM-DD)
+ * @param {string} to - End date of the changed commits (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Cache keys that were purged
+ */
+async function invalidateCache(env, repo, from, to) {
+  if (!env.EOYR_CACHE) {
+    console.log('KV namespace not available, skipping cache invalidation');
+    return [];
+  }
+  
+  const now = Date.now();
+  const overlapping = [];
+  let cursor;
+  do {
+    const page = await env.EOYR_CACHE.list({ prefix: getCacheIndexPrefix(repo), cursor: cursor });
+    page.keys.forEach(({ name, metadata }) => {
+      // Entries without metadata can't be placed in time, so they are purged too
+      if (!metadata || (metadata.expires > now && cacheEntryOverlaps(metadata, from, to))) {
+        overlapping.push(name);
+      }
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  const purged = await Promise.all(overlapping.map(async indexKey => {
+    const key = await env.EOYR_CACHE.get(indexKey);
+    await Promise.all([key && env.EOYR_CACHE.delete(key), env.EOYR_CACHE.delete(indexKey)]);
+    return key;
+  }));
+  
+  console.log(`Purged ${purged.length} cache entries for ${repo} (${from} to ${to})`);
+  return purged.filter(Boolean);
+}
+
+/**
+ * Part 3: Incremental Commit Store
+ * Commits are kept in KV per repo and per month ("shards") and never expire.
+ * A meta record per repo remembers the newest SHA seen and how far back history
+ * has been synced, so GitHub is only asked for commits newer than the newest SHA
+ * or older than the synced window. Closed month shards are never fetched again.
+ */
+
+/**
+ * Gets the name a repo's store is kept under
+ * The default branch uses the plain repo key, other branches get their own store
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} branch - Branch name, null for the default branch
+ * @returns {string} Store name
+ */
+function getStoreName(repo, branch = null) {
+  return branch ? `${repo}@${branch}` : repo;
+}
+
+/**
+ * Gets the KV key of a repo's commit store meta record
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} branch - Branch name, null for the default branch
+ * @returns {string} Meta key
+ */
+function getStoreMetaKey(repo, branch = null) {
+  return `store:${getStoreName(repo, branch)}:meta`;
+}
+
+/**
+ * Gets the KV key of a repo's month shard
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} monthId - Month identifier (YYYY-MM)
+ * @param {string} branch - Branch name, null for the default branch
+ * @returns {string} Shard key
+ */
+function getStoreShardKey(repo, monthId, branch = null) {
+  return `store:${getStoreName(repo, branch)}:${monthId}`;
+}
+
+/**
+ * Reduces a commit to the fields the dashboard uses before storing it
+ * Line stats that came with the commit (GitLab) are kept
+ * @param {Object} commit - Raw commit object from a source provider (with repo/org added)
+ * @returns {Object} Stored commit with the same shape as the raw commit
+ */
+function toStoredCommit(commit) {
+  return {
+    sha: commit.sha,
+    commit: {
+      message: commit.commit.message,
+      author: {
+        name: commit.commit.author.name,
+        email: commit.commit.author.email,
+        date: commit.commit.author.date
+      }
+    },
+    html_url: commit.html_url,
+    repo: commit.repo,
+    org: commit.org,
+    ...(commit.provider ? { provider: commit.provider } : {}),
+    ...(commit.lineStats ? { lineStats: commit.lineStats } : {})
+  };
+}
+
+/**
+ * Gets the day before a YYYY-MM-DD date
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @returns {string} Previous day (YYYY-MM-DD)
+ */
+function getPreviousDay(dateString) {
+  const date = new Date(dateString);
+  date.setDate(date.getDate() - 1);
+  return formatDate(date);
+}
+
+/**
+ * Gets the first day fully read by a commit listing that was cut off by the page limit
+ * The oldest day reached may be missing commits, so coverage starts the day after it
+ * @param {Array} commits - Commits read, newest first
+ * @param {string} fallback - Date to use when nothing was read (YYYY-MM-DD)
+ * @returns {string} First covered day (YYYY-MM-DD)
+ */
+function getFirstCoveredDay(commits, fallback) {
+  if (commits.length === 0) return fallback;
+  
+  const date = new Date(formatDate(new Date(commits[commits.length - 1].commit.author.date)));
+  date.setDate(date.getDate() + 1);
+  return formatDate(date);
+}
+
+/**
+ * Gets the KV put options of a commit store's keys
+ * Named branch stores expire when unused, so deleted branches don't stay stored
+ * @param {string} branch - Branch name, null for the default branch
+ * @returns {Object} Put options
+ */
+function getStorePutOptions(branch = null) {
+  return branch ? { expirationTtl: BRANCH_STORE_TTL } : {};
+}
+
+/**
+ * Merges commits into the month shards of a repo's store
+ * Only shards that receive new commits (by SHA) are rewritten
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {Array} commits - Commits to merge
+ * @param {Array<string>} months - Month IDs already present in the store (updated in place)
+ * @param {string} branch - Branch name, null for the default branch
+ */
+async function mergeIntoShards(env, repo, commits, months, branch = null) {
+  const byMonth = {};
+  commits.forEach(commit => {
+    const monthId = getMonthId(new Date(commit.commit.author.date));
+    if (!byMonth[monthId]) {
+      byMonth[monthId] = [];
+    }
+    byMonth[monthId].push(toStoredCommit(commit));
+  });
+  
+  await Promise.all(Object.entries(byMonth).map(async ([monthId, monthCommits]) => {
+    const shardKey = getStoreShardKey(repo, monthId, branch);
+    const existing = months.includes(monthId)
+      ? await env.EOYR_CACHE.get(shardKey, 'json') || []
+      : [];
+    
+    // De-duplicate by SHA, keeping the newest copy (and the line stats saved with the old one)
+    const bySha = new Map(existing.map(commit => [commit.sha, commit]));
+    const added = monthCommits.filter(commit => !bySha.has(commit.sha)).length;
+    monthCommits.forEach(commit => {
+      const lineStats = commit.lineStats || bySha.get(commit.sha)?.lineStats;
+      bySha.set(commit.sha, lineStats ? { ...commit, lineStats } : commit);
+    });
+    
+    // Incremental syncs re-read a lookback window, which mostly brings back known commits
+    if (added === 0 && months.includes(monthId)) {
+      return;
+    }
+    
+    const merged = [...bySha.values()].sort((a, b) =>
+      new Date(b.commit.author.date) - new Date(a.commit.author.date)
+    );
+    
+    await env.EOYR_CACHE.put(shardKey, JSON.stringify(merged), getStorePutOptions(branch));
+    if (!months.includes(monthId)) {
+      months.push(monthId);
+    }
+  }));
+  
+  months.sort();
+}
+
+/**
+ * Brings a repo's commit store up to date for a date range
+ * Fetches commits from STORE_SYNC_LOOKBACK days before the newest stored one
+ * (so commits merged with older dates are picked up; known SHAs are skipped),
+ * and backfills history older than what has been synced so far. A fetch cut
+ * off by the page limit only moves syncedFrom to the oldest day it fully read,
+ * so the next sync resumes from there.
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - Earliest date needed (YYYY-MM-DD), null for full history
+ * @param {string} branch - Branch name, null for the default branch
+ * @param {string} provider - Source provider name (default: github)
+ * @param {Function} onTruncated - Called when a fetch hits the page limit (optional)
+ * @returns {Promise<Object>} Updated meta record
+ */
+async function syncRepoStore(env, repo, token, since = null, branch = null, provider = DEFAULT_SOURCE_PROVIDER, onTruncated = null) {
+  const metaKey = getStoreMetaKey(repo, branch);
+  const meta = await env.EOYR_CACHE.get(metaKey, 'json') || {
+    repo: repo,
+    branch: branch,
+    newestSha: null,
+    newestDate: null,
+    syncedFrom: null,
+    lastSync: 0,
+    months: []
+  };
+  const needed = since || STORE_HISTORY_START;
+  let changed = false;
+  
+  // Each fetch reports whether it stopped at the page limit
+  const fetchCommits = async (from, to) => {
+    let truncated = false;
+    const commits = await fetchRepoCommits(repo, token, from, to, {
+      branch,
+      provider,
+      onTruncated: () => {
+        truncated = true;
+      }
+    });
+    if (truncated && onTruncated) onTruncated();
+    return { commits, truncated };
+  };
+  
+  if (!meta.syncedFrom) {
+    // First sync: fetch everything from the requested start until now
+    const { commits, truncated } = await fetchCommits(since, null);
+    await mergeIntoShards(env, repo, commits, meta.months, branch);
+    if (commits.length > 0) {
+      meta.newestSha = commits[0].sha;
+      meta.newestDate = commits[0].commit.author.date;
+    }
+    meta.syncedFrom = truncated ? getFirstCoveredDay(commits, formatDate(new Date())) : needed;
+    meta.lastSync = Date.now();
+    changed = true;
+  } else {
+    // Backfill history older than the synced window
+    if (needed < meta.syncedFrom) {
+      const { commits, truncated } = await fetchCommits(since, getPreviousDay(meta.syncedFrom));
+      await mergeIntoShards(env, repo, commits, meta.months, branch);
+      meta.syncedFrom = truncated ? getFirstCoveredDay(commits, meta.syncedFrom) : needed;
+      changed = true;
+    }
+    
+    // Re-read the lookback window before the newest stored commit, and everything newer
+    if (Date.now() - meta.lastSync >= STORE_SYNC_INTERVAL * 1000) {
+      const lookbackStart = new Date(meta.newestDate || meta.syncedFrom);
+      lookbackStart.setUTCDate(lookbackStart.getUTCDate() - STORE_SYNC_LOOKBACK);
+      const from = formatDate(lookbackStart) > meta.syncedFrom ? formatDate(lookbackStart) : meta.syncedFrom;
+      const { commits, truncated } = await fetchCommits(from, null);
+      await mergeIntoShards(env, repo, commits, meta.months, branch);
+      if (commits.length > 0 && (!meta.newestDate || commits[0].commit.author.date >= meta.newestDate)) {
+        meta.newestSha = commits[0].sha;
+        meta.newestDate = commits[0].commit.author.date;
+      }
+      if (truncated) {
+        // More new commits than one fetch can read: what lies between them and the
+        // older stored history is filled in by backfilling from the oldest one read
+        meta.syncedFrom = getFirstCoveredDay(commits, meta.syncedFrom);
+      }
+      meta.lastSync = Date.now();
+      changed = true;
+    }
+  }
+  
+  if (changed) {
+    await env.EOYR_CACHE.put(metaKey, JSON.stringify(meta), getStorePutOptions(branch));
+  }
+  return meta;
+}
+
+/**
+ * Marks a repo's store as due for an incremental sync on the next read
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} branch - Branch name, null for the default branch
+ */
+async function markStoreStale(env, repo, branch = null) {
+  if (!env.EOYR_CACHE) return;
+  
+  const metaKey = getStoreMetaKey(repo, branch);
+  const meta = await env.EOYR_CACHE.get(metaKey, 'json');
+  if (meta) {
+    meta.lastSync = 0;
+    await env.EOYR_CACHE.put(metaKey, JSON.stringify(meta), getStorePutOptions(branch));
+  }
+}
+
+/**
+ * Gets a repo's commits for a date range from the commit store
+ * Syncs the store first; falls back to a direct fetch when KV is unavailable
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - Start date (YYYY-MM-DD), null for no lower bound
+ * @param {string} until - End date (YYYY-MM-DD), null for no upper bound
+ * @param {string} branch - Branch name, null for the default branch
+ * @param {Object} report - Fetch report, marked when only stale stored commits could be served
+ * @param {string} provider - Source provider name (default: github)
+ * @returns {Promise<Array>} Commits in the range, newest first
+ */
+async function getStoredCommits(env, repo, token, since = null, until = null, branch = null, report = null, provider = DEFAULT_SOURCE_PROVIDER) {
+  if (!env || !env.EOYR_CACHE) {
+    return fetchRepoCommits(repo, token, since, until, {
+      branch,
+      provider,
+      onTruncated: () => recordFetchTruncation(report, repo)
+    });
+  }
+  
+  let meta;
+  try {
+    meta = await syncRepoStore(env, repo, token, since, branch, provider, () => recordFetchTruncation(report, repo));
+  } catch (error) {
+    // A failed sync leaves the stored meta untouched, so what is stored is still
+    // consistent; serve it but flag the response as incomplete
+    meta = await env.EOYR_CACHE.get(getStoreMetaKey(repo, branch), 'json');
+    if (!meta) throw error;
+    console.warn(`Sync failed for ${getStoreName(repo, branch)}, serving stored commits: ${error.message}`);
+    recordFetchFailure(report, repo, error);
+  }
+  
+  // Only read the shards that can contain commits in the range
+  const fromMonth = since ? since.substring(0, 7) : null;
+  const toMonth = until ? until.substring(0, 7) : null;
+  const months = meta.months.filter(monthId =>
+    (!fromMonth || monthId >= fromMonth) && (!toMonth || monthId <= toMonth)
+  );
+  
+  const shards = await Promise.all(months.map(monthId =>
+    env.EOYR_CACHE.get(getStoreShardKey(repo, monthId, branch), 'json')
+  ));
+  
+  // A branch store's shard can expire before its meta (unchanged shards aren't
+  // rewritten); start that store over on the next read
+  if (shards.includes(null)) {
+    console.warn(`Shards of ${getStoreName(repo, branch)} have expired, resyncing on the next read`);
+    await env.EOYR_CACHE.delete(getStoreMetaKey(repo, branch));
+    recordFetchFailure(report, repo, null);
+  }
+  
+  return shards
+    .flat()
+    .filter(Boolean)
+    .filter(commit => {
+      const day = formatDate(new Date(commit.commit.author.date));
+      return (!since || day >= since) && (!until || day <= until);
+    })
+    .sort((a, b) => new Date(b.commit.author.date) - new Date(a.commit.author.date));
+}
+
+/**
+ * Lists the branch names of a repository
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string|null} token - Token for the repo's provider
+ * @param {string} provider - Source provider name (default: github)
+ * @returns {Promise<Array<string>>} Branch names
+ */
+async function fetchRepoBranches(repo, token, provider = DEFAULT_SOURCE_PROVIDER) {
+  return getSourceProvider(provider).fetchBranches(repo, token);
+}
+
+/**
+ * Default branch name per provider and repo key, with the time it was looked up
+ * Shared by all requests handled in this isolate; default branches rarely change
+ */
+const defaultBranches = new Map();
+
+/**
+ * Gets the default branch name of a repository
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string|null} token - Token for the repo's provider
+ * @param {string} provider - Source provider name (default: github)
+ * @returns {Promise<string>} Branch name
+ */
+async function getDefaultBranch(repo, token, provider = DEFAULT_SOURCE_PROVIDER) {
+  const key = `${provider}:${repo}`;
+  const cached = defaultBranches.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL * 1000) {
+    return cached.name;
+  }
+  
+  const name = await getSourceProvider(provider).fetchDefaultBranch(repo, token);
+  defaultBranches.set(key, { name, fetchedAt: Date.now() });
+  return name;
+}
+
+/**
+ * Lists the branches read when every branch is selected
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string|null} token - Token for the repo's provider
+ * @param {string} provider - Source provider name (default: github)
+ * @returns {Promise<Array<string>>} The default branch, then up to MAX_ALL_BRANCHES - 1 others
+ */
+async function fetchAllBranchNames(repo, token, provider = DEFAULT_SOURCE_PROVIDER) {
+  const [branches, defaultBranch] = await Promise.all([
+    fetchRepoBranches(repo, token, provider),
+    getDefaultBranch(repo, token, provider)
+  ]);
+  const others = branches.filter(branch => branch !== defaultBranch);
+  if (others.length >= MAX_ALL_BRANCHES) {
+    console.warn(`${repo} has ${branches.length} branches, reading the first ${MAX_ALL_BRANCHES}`);
+  }
+  return [defaultBranch, ...others.slice(0, MAX_ALL_BRANCHES - 1)];
+}
+
+/**
+ * Gets a repo's commits across several branches
+ * Commits reachable from more than one branch are returned once, tagged with
+ * every branch they appear on. When the default branch is one of them, it is
+ * read from the default commit store and the other branches only add the
+ * commits that are not on it (tagged with their own branch alone); otherwise
+ * every branch is read from a store of its own.
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - Start date (YYYY-MM-DD), null for no lower bound
+ * @param {string} until - End date (YYYY-MM-DD), null for no upper bound
+ * @param {string|Array<string>} branches - Branch names, or ALL_BRANCHES for every branch
+ * @param {Object} report - Fetch report (optional)
+ * @param {string} provider - Source provider name (default: github)
+ * @returns {Promise<Array>} De-duplicated commits with a branches array, newest first
+ */
+async function fetchBranchCommits(env, repo, token, since, until, branches, report = null, provider = DEFAULT_SOURCE_PROVIDER) {
+  const branchNames = branches === ALL_BRANCHES
+    ? await fetchAllBranchNames(repo, token, provider)
+    : branches;
+  const defaultBranch = await getDefaultBranch(repo, token, provider);
+  
+  if (!branchNames.includes(defaultBranch)) {
+    const perBranch = await mapWithConcurrency(branchNames, REPO_FETCH_CONCURRENCY, branch =>
+      getStoredCommits(env, repo, token, since, until, branch, report, provider)
+        .then(commits => ({ branch, commits }))
+    );
+    return mergeBranchCommits(perBranch);
+  }
+  
+  const defaultCommits = await getStoredCommits(env, repo, token, since, until, null, report, provider);
+  const excludeShas = new Set(defaultCommits.map(commit => commit.sha));
+  const otherBranches = await mapWithConcurrency(
+    branchNames.filter(branch => branch !== defaultBranch),
+    REPO_FETCH_CONCURRENCY,
+    branch => fetchRepoCommits(repo, token, since, until, {
+      branch,
+      provider,
+      excludeShas,
+      onTruncated: () => recordFetchTruncation(report, repo)
+    }).then(commits => ({ branch, commits }))
+  );
+  
+  return mergeBranchCommits([{ branch: defaultBranch, commits: defaultCommits }, ...otherBranches]);
+}
+
+/**
+ * Merges the commit lists of several branches of one repo
+ * @param {Array<Object>} perBranch - Branch commit lists ({ branch, commits })
+ * @returns {Array} De-duplicated commits with a branches array, newest first
+ */
+function mergeBranchCommits(perBranch) {
+  const bySha = new Map();
+  perBranch.forEach(({ branch, commits }) => {
+    commits.forEach(commit => {
+      if (!bySha.has(commit.sha)) {
+        bySha.set(commit.sha, { ...commit, branches: [] });
+      }
+      bySha.get(commit.sha).branches.push(branch);
+    });
+  });
+  
+  return [...bySha.values()].sort((a, b) =>
+    new Date(b.commit.author.date) - new Date(a.commit.author.date)
+  );
+}
+
+/**
+ * Resolves which branches to read for each repo
+ * A branch query parameter overrides the per-repo "branches" config setting
+ * @param {Object} config - Repos config
+ * @param {Array<string>} repos - Repository keys (owner/name) being fetched
+ * @param {string|null} branchParam - Branch query parameter (ALL_BRANCHES, a name, or comma-separated names)
+ * @returns {Object} Map of repo key to null (default branch), ALL_BRANCHES, or an array of branch names
+ */
+function resolveRepoBranches(config, repos, branchParam = null) {
+  const branchesByRepo = {};
+  
+  repos.forEach(repoKey => {
+    const repoConfig = config.repos.find(r => r.fullName === repoKey) || {};
+    // The config's "branches" is a list of names, so its "all" (or "*") can't be a branch name
+    const setting = branchParam
+      ? (branchParam === ALL_BRANCHES ? ALL_BRANCHES : branchParam.split(',').map(b => b.trim()).filter(Boolean))
+      : ['all', ALL_BRANCHES].includes(repoConfig.branches) ? ALL_BRANCHES : repoConfig.branches || null;
+    
+    branchesByRepo[repoKey] = setting === ALL_BRANCHES || (Array.isArray(setting) && setting.length > 0)
+      ? setting
+      : null;
+  });
+  
+  return branchesByRepo;
+}
+
+/**
+ * Fetches commits for repos using the backend, branches and tokens the config selects
+ * The GraphQL backend only covers GitHub repos; repos on other source
+ * providers are always read through the commit store. Commits come back with
+ * their author identity (see resolveCommitAuthors).
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config
+ * @param {Array<string>} repos - Repository keys (owner/name) to fetch
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {string|null} branchParam - Branch query parameter, overrides the configured branches
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
+ * @param {Object} calendar - Time zone that since and until are local dates in (see getCalendar)
+ * @returns {Promise<Array>} Array of all commits from all repos
+ */
+async function fetchConfiguredCommits(env, config, repos, since, until, branchParam = null, report = null, calendar = DEFAULT_CALENDAR) {
+  const branchesByRepo = resolveRepoBranches(config, repos, branchParam);
+  const tokens = resolveRepoTokens(env, config, repos);
+  const providersByRepo = resolveRepoProviders(config, repos);
+  const graphQLRepos = usesGraphQL(config) ? onlyGitHubRepos(config, repos) : [];
+  const restRepos = repos.filter(repo => !graphQLRepos.includes(repo));
+  const fetchRange = async (from, to) => {
+    const [graphQLCommits, restCommits] = await Promise.all([
+      graphQLRepos.length > 0 ? fetchAllCommitsGraphQL(graphQLRepos, tokens, from, to, branchesByRepo, report) : [],
+      restRepos.length > 0 ? fetchAllCommits(restRepos, tokens, from, to, env, branchesByRepo, report, providersByRepo) : []
+    ]);
+    return [...graphQLCommits, ...restCommits];
+  };
+  
+  if (calendar.timeZone === 'UTC') {
+    return resolveCommitAuthors(await fetchRange(since, until), config);
+  }
+  
+  const range = toUtcDateRange(since, until, calendar);
+  const commits = await fetchRange(range.since, range.until);
+  return resolveCommitAuthors(commits.filter(commit => isInDateRange(getCommitDate(commit), since, until, calendar)), config);
+}
+
+/**
+ * Part 4: Pull Requests
+ * Pull requests are listed per repo (most recently updated first) and their
+ * linked commits and reviews are stored in KV per PR. A stored PR is only
+ * refetched when GitHub reports a newer updated_at.
+ */
+
+/**
+ * Fetches every page of a GitHub list endpoint
+ * @param {string} startUrl - First page URL
+ * @param {string} token - GitHub personal access token
+ * @param {Function} shouldStop - Called with each page; return true to stop paging
+ * @param {Function} onTruncated - Called when the page limit is hit with pages left unread (optional)
+ * @returns {Promise<Array>} All items from all pages read
+ */
+async function fetchAllPages(startUrl, token, shouldStop = () => false, onTruncated = null) {
+  const items = [];
+  let url = startUrl;
+  let pageCount = 0;
+  const maxPages = 20; // Safety limit to prevent infinite loops
+  
+  while (url && pageCount < maxPages) {
+    const response = await githubGet(url, token);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`GitHub API error: ${response.status} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    const page = await response.json();
+    items.push(...page);
+    pageCount++;
+    
+    url = shouldStop(page) ? null : getNextPageUrl(response.headers.get('Link'));
+  }
+  
+  if (url && onTruncated) {
+    onTruncated();
+  }
+  return items;
+}
+
+/**
+ * Gets the date a pull request is grouped and filtered by
+ * Merged PRs use their merge date, everything else the date it was opened
+ * @param {Object} pull - Formatted pull request
+ * @returns {string} ISO date string
+ */
+function getPullDate(pull) {
+  return pull.mergedAt || pull.createdAt;
+}
+
+/**
+ * Fetches pull requests of a repository updated since a date
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - ISO date string (YYYY-MM-DD), null for all
+ * @param {Function} onTruncated - Called when the page limit is hit with pull requests left unread (optional)
+ * @returns {Promise<Array>} Raw pull request objects
+ */
+async function fetchRepoPulls(repo, token, since = null, onTruncated = null) {
+  const url = new URL(`${GITHUB_API_BASE}/repos/${repo}/pulls`);
+  url.searchParams.set('state', 'all');
+  url.searchParams.set('sort', 'updated');
+  url.searchParams.set('direction', 'desc');
+  url.searchParams.set('per_page', '100');
+  
+  // Sorted by last update, so stop once a page reaches PRs untouched since the start date
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const pulls = await fetchAllPages(url.toString(), token, page =>
+    page.length < 100 ||
+    (sinceTime && new Date(page[page.length - 1].updated_at).getTime() < sinceTime),
+    onTruncated
+  );
+  
+  return pulls.filter(pull => !sinceTime || new Date(pull.updated_at).getTime() >= sinceTime);
+}
+
+/**
+ * Formats a pull request with its linked commits and reviews
+ * @param {Object} pull - Raw pull request object from GitHub
+ * @param {string} repo - Repository key (owner/name)
+ * @param {Array|null} commits - Raw commits of the pull request, null when they were not loaded
+ * @param {Array|null} reviews - Raw reviews of the pull request, null when they were not loaded
+ * @returns {Object} Formatted pull request (commitCount and reviewCount are null when not loaded)
+ */
+function formatPull(pull, repo, commits, reviews) {
+  return {
+    number: pull.number,
+    title: pull.title,
+    author: pull.user?.login || null,
+    authorType: pull.user?.type || null,
+    state: pull.merged_at ? 'merged' : pull.state,
+    draft: !!pull.draft,
+    createdAt: pull.created_at,
+    updatedAt: pull.updated_at,
+    mergedAt: pull.merged_at || null,
+    closedAt: pull.closed_at || null,
+    baseBranch: pull.base?.ref || null,
+    headBranch: pull.head?.ref || null,
+    mergeCommitSha: pull.merge_commit_sha || null,
+    commits: (commits || []).map(commit => ({
+      sha: commit.sha,
+      shortSha: commit.sha.substring(0, 7),
+      messageFirstLine: commit.commit.message.split('\n')[0]
+    })),
+    commitCount: commits ? commits.length : null,
+    reviewCount: reviews ? reviews.length : null,
+    repo: repo,
+    org: parseRepoKey(repo).owner,
+    url: pull.html_url
+  };
+}
+
+/**
+ * Gets a formatted pull request with its commits and reviews
+ * Uses the stored copy when the PR has not been updated since it was stored
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {Object} pull - Raw pull request object from the list endpoint
+ * @param {Object} budget - Shared counter of uncached fetches left ({ remaining })
+ * @returns {Promise<Object|null>} Formatted pull request, null if over budget
+ */
+async function getPullDetails(env, repo, token, pull, budget = { remaining: Infinity }) {
+  const storeKey = `pull:${repo}:${pull.number}`;
+  
+  if (env.EOYR_CACHE) {
+    const stored = await env.EOYR_CACHE.get(storeKey, 'json');
+    if (stored && stored.updatedAt === pull.updated_at) {
+      return stored;
+    }
+  }
+  
+  if (budget.remaining <= 0) {
+    return null;
+  }
+  budget.remaining--;
+  
+  const pullUrl = `${GITHUB_API_BASE}/repos/${repo}/pulls/${pull.number}`;
+  const [commits, reviews] = await Promise.all([
+    fetchAllPages(`${pullUrl}/commits?per_page=100`, token, page => page.length < 100),
+    fetchAllPages(`${pullUrl}/reviews?per_page=100`, token, page => page.length < 100)
+  ]);
+  
+  const formatted = formatPull(pull, repo, commits, reviews);
+  
+  if (env.EOYR_CACHE) {
+    await env.EOYR_CACHE.put(storeKey, JSON.stringify(formatted));
+  }
+  return formatted;
+}
+
+/**
+ * Gets formatted pull requests of a repository within a date range
+ * A PR whose details can't be loaded (failed, or over the budget) is returned
+ * from its list entry alone and the repo is marked in the report.
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - Start date (YYYY-MM-DD), null for no lower bound
+ * @param {string} until - End date (YYYY-MM-DD), null for no upper bound
+ * @param {Object} calendar - Time zone the dates are local to (see getCalendar)
+ * @param {Object} report - Fetch report, marked when the listing hits the page limit (optional)
+ * @param {Object} budget - Shared counter of uncached detail fetches left ({ remaining })
+ * @param {Set<string>|null} commitShas - When set, only merged PRs whose head or merge commit is one of
+ *   these are returned, and only those with the head commit among them get their details loaded
+ * @returns {Promise<Array>} Formatted pull requests
+ */
+async function getRepoPulls(env, repo, token, since = null, until = null, calendar = DEFAULT_CALENDAR, report = null, budget = { remaining: Infinity }, commitShas = null) {
+  let pulls = await fetchRepoPulls(repo, token, toUtcDateRange(since, until, calendar).since, () =>
+    recordFetchTruncation(report, repo)
+  );
+  
+  // A squash or rebase merge only brings the merge commit into the history, which
+  // the list entry already names; a merge commit brings the PR's own commits too
+  if (commitShas) {
+    pulls = pulls.filter(pull => pull.merged_at && (commitShas.has(pull.head?.sha) || commitShas.has(pull.merge_commit_sha)));
+  }
+  const needsDetails = pull => !commitShas || commitShas.has(pull.head?.sha);
+  
+  const detailed = await mapWithConcurrency(pulls, PULL_DETAILS_CONCURRENCY, async pull => {
+    if (!needsDetails(pull)) {
+      return formatPull(pull, repo, null, null);
+    }
+    
+    try {
+      const details = await getPullDetails(env, repo, token, pull, budget);
+      if (details) return details;
+      console.warn(`Pull request details budget used up, listing ${repo}#${pull.number} without them`);
+      recordFetchFailure(report, repo, null);
+    } catch (error) {
+      console.error(`Error fetching details of ${repo}#${pull.number}:`, error);
+      // Stop spending requests once GitHub has cut us off
+      if (error.rateLimited) budget.remaining = 0;
+      recordFetchFailure(report, repo, error);
+    }
+    return formatPull(pull, repo, null, null);
+  });
+  
+  return detailed.filter(pull => isInDateRange(getPullDate(pull), since, until, calendar));
+}
+
+/**
+ * Gets formatted pull requests for multiple repositories
+ * @param {Object} env - Worker environment
+ * @param {Array<string>} repos - Repository keys (owner/name)
+ * @param {Object} tokens - Token per repo key (see resolveRepoTokens)
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
+ * @param {Object} calendar - Time zone the dates are local to (see getCalendar)
+ * @param {Array|null} commits - Commits the pull requests are looked up for (see attachPullRequests);
+ *   when set, only the merged PRs that can contain them are loaded
+ * @returns {Promise<Array>} Formatted pull requests from all repos
+ */
+async function fetchAllPulls(env, repos, tokens, since = null, until = null, report = null, calendar = DEFAULT_CALENDAR, commits = null) {
+  const budget = { remaining: MAX_PULL_DETAIL_FETCHES };
+  const commitShas = commits ? new Set(commits.map(commit => commit.sha)) : null;
+  const results = await mapWithConcurrency(repos, REPO_FETCH_CONCURRENCY, repo =>
+    getRepoPulls(env, repo, tokens[repo], since, until, calendar, report, budget, commitShas).catch(error => {
+      console.error(`Error fetching pull requests from ${repo}:`, error);
+      recordFetchFailure(report, repo, error);
+      // Return empty array on error so other repos still work
+      return [];
+    })
+  );
+  return results.flat();
+}
+
+/**
+ * Tags commits with the merged pull request they came in through
+ * @param {Array} commits - Raw commit objects (modified in place)
+ * @param {Array} pulls - Formatted pull requests
+ */
+function attachPullRequests(commits, pulls) {
+  const pullsBySha = new Map();
+  
+  pulls.filter(pull => pull.state === 'merged').forEach(pull => {
+    const reference = { number: pull.number, title: pull.title, url: pull.url };
+    pull.commits.forEach(commit => pullsBySha.set(`${pull.repo}:${commit.sha}`, reference));
+    if (pull.mergeCommitSha) {
+      pullsBySha.set(`${pull.repo}:${pull.mergeCommitSha}`, reference);
+    }
+  });
+  
+  commits.forEach(commit => {
+    const pull = pullsBySha.get(`${commit.repo}:${commit.sha}`);
+    if (pull) {
+      commit.pullRequest = pull;
+    }
+  });
+}
+
+/**
+ * Part 5: Issues
+ */
+
+/**
+ * Fetches issues of a repository updated since a date
+ * Pull requests returned by the issues endpoint are skipped
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - ISO date string (YYYY-MM-DD), null for all
+ * @param {Function} onTruncated - Called when the page limit is hit with issues left unread (optional)
+ * @returns {Promise<Array>} Raw issue objects
+ */
+async function fetchRepoIssues(repo, token, since = null, onTruncated = null) {
+  const url = new URL(`${GITHUB_API_BASE}/repos/${repo}/issues`);
+  url.searchParams.set('state', 'all');
+  url.searchParams.set('per_page', '100');
+  if (since) {
+    url.searchParams.set('since', new Date(since).toISOString());
+  }
+  
+  const issues = await fetchAllPages(url.toString(), token, page => page.length < 100, onTruncated);
+  return issues.filter(issue => !issue.pull_request);
+}
+
+/**
+ * Formats an issue object for API response
+ * @param {Object} issue - Raw issue object from GitHub
+ * @param {string} repo - Repository key (owner/name)
+ * @returns {Object} Formatted issue
+ */
+function formatIssue(issue, repo) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    author: issue.user?.login || null,
+    state: issue.state,
+    labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+    comments: issue.comments || 0,
+    createdAt: issue.created_at,
+    closedAt: issue.closed_at || null,
+    repo: repo,
+    org: parseRepoKey(repo).owner,
+    url: issue.html_url
+  };
+}
+
+/**
+ * Gets formatted issues for multiple repositories that were opened or closed in a date range
+ * @param {Array<string>} repos - Repository keys (owner/name)
+ * @param {Object} tokens - Token per repo key (see resolveRepoTokens)
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} report - Fetch report that failed repos are recorded in (optional)
+ * @param {Object} calendar - Time zone the dates are local to (see getCalendar)
+ * @returns {Promise<Array>} Formatted issues from all repos
+ */
+async function fetchAllIssues(repos, tokens, since = null, until = null, report = null, calendar = DEFAULT_CALENDAR) {
+  const inRange = date => !!date && isInDateRange(date, since, until, calendar);
+  
+  const results = await mapWithConcurrency(repos, REPO_FETCH_CONCURRENCY, repo =>
+    fetchRepoIssues(repo, tokens[repo], toUtcDateRange(since, until, calendar).since, () =>
+      recordFetchTruncation(report, repo)
+    )
+      .then(issues => issues.map(issue => formatIssue(issue, repo)))
+      .catch(error => {
+        console.error(`Error fetching issues from ${repo}:`, error);
+        recordFetchFailure(report, repo, error);
+        // Return empty array on error so other repos still work
+        return [];
+      })
+  );
+  
+  return results.flat().filter(issue => inRange(issue.createdAt) || inRange(issue.closedAt));
+}
+
+/**
+ * Groups issues by the period they were opened and the period they were closed
+ * An issue opened and closed in different periods appears in both groups
+ * @param {Array} issues - Formatted issues
+ * @param {string} groupBy - Grouping type (day, week, month, year)
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with group IDs as keys and { opened, closed } as values
+ */
+function groupIssuesByPeriod(issues, groupBy, since, until, calendar = DEFAULT_CALENDAR) {
+  const inRange = date => isInDateRange(date, since, until, calendar);
+  
+  const openedGroups = groupByPeriod(
+    issues.filter(issue => inRange(issue.createdAt)), groupBy, issue => issue.createdAt, calendar
+  );
+  const closedGroups = groupByPeriod(
+    issues.filter(issue => issue.closedAt && inRange(issue.closedAt)), groupBy, issue => issue.closedAt, calendar
+  );
+  
+  const groups = {};
+  [...new Set([...Object.keys(openedGroups), ...Object.keys(closedGroups)])].forEach(groupId => {
+    groups[groupId] = {
+      opened: openedGroups[groupId] || [],
+      closed: closedGroups[groupId] || []
+    };
+  });
+  return groups;
+}
+
+/**
+ * Part 6: Releases and Changelogs
+ * Releases and plain tags are merged into one timeline per repo. Each entry's
+ * changelog is the commits between the previous tag and it, categorized with
+ * the same buckets as categorizeCommits in js/eoyr.js. Tag dates and changelogs
+ * are stored in KV permanently since tags do not move.
+ */
+
+/**
+ * Summary category of each commit type (types not listed go to 'other')
+ * Kept in sync with COMMIT_TYPE_CATEGORIES in js/eoyr.js
+ */
+const COMMIT_TYPE_CATEGORIES = {
+  feat: 'features',
+  perf: 'features',
+  fix: 'fixes',
+  docs: 'docs',
+  refactor: 'cleanup',
+  style: 'cleanup',
+  chore: 'cleanup'
+};
+
+/**
+ * Categorizes commits by their Conventional Commits type
+ * Mirrors categorizeCommits in js/eoyr.js so both sides bucket commits the same way
+ * @param {Array} commits - Array of formatted commit objects (with message, and type when already parsed)
+ * @returns {Object} Categorized commits
+ */
+function categorizeCommits(commits) {
+  const categories = {
+    features: [],
+    fixes: [],
+    docs: [],
+    cleanup: [],
+    other: []
+  };
+  
+  commits.forEach(commit => {
+    const type = commit.type || parseCommitMessage(commit.message).type;
+    categories[COMMIT_TYPE_CATEGORIES[type] || 'other'].push(commit);
+  });
+  
+  return categories;
+}
+
+/**
+ * Gets the commit date of a tag's target commit
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} sha - Commit SHA the tag points to
+ * @param {Object} budget - Shared counter of uncached fetches left ({ remaining })
+ * @returns {Promise<string|null>} ISO date string, null if over budget
+ */
+async function fetchTagCommitDate(env, repo, token, sha, budget = { remaining: Infinity }) {
+  const storeKey = `tag-date:${repo}:${sha}`;
+  
+  if (env.EOYR_CACHE) {
+    const stored = await env.EOYR_CACHE.get(storeKey);
+    if (stored) {
+      return stored;
+    }
+  }
+  
+  if (budget.remaining <= 0) {
+    return null;
+  }
+  budget.remaining--;
+  
+  const response = await githubGet(`${GITHUB_API_BASE}/repos/${repo}/commits/${sha}`, token);
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} - ${await response.text()}`);
+  }
+  const commit = await response.json();
+  const date = commit.commit.committer?.date || commit.commit.author.date;
+  
+  if (env.EOYR_CACHE) {
+    await env.EOYR_CACHE.put(storeKey, date);
+  }
+  return date;
+}
+
+/**
+ * Builds the release timeline of a repository from its releases and tags
+ * Tags without a release are included as plain tag entries; those whose date
+ * is not stored yet once the budget is used up are left out
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {Function} onTruncated - Called when the page limit or the budget leaves releases or tags out (optional)
+ * @param {Object} budget - Shared counter of uncached fetches left ({ remaining })
+ * @returns {Promise<Array>} Timeline entries, oldest first
+ */
+async function fetchRepoReleaseTimeline(env, repo, token, onTruncated = null, budget = { remaining: Infinity }) {
+  const [releases, tags] = await Promise.all([
+    fetchAllPages(`${GITHUB_API_BASE}/repos/${repo}/releases?per_page=100`, token, page => page.length < 100, onTruncated),
+    fetchAllPages(`${GITHUB_API_BASE}/repos/${repo}/tags?per_page=100`, token, page => page.length < 100, onTruncated)
+  ]);
+  
+  const releasesByTag = new Map(
+    releases.filter(release => !release.draft).map(release => [release.tag_name, release])
+  );
+  const tagsByName = new Map(tags.map(tag => [tag.name, tag]));
+  
+  const tagNames = [...new Set([...releasesByTag.keys(), ...tagsByName.keys()])];
+  const entries = await mapWithConcurrency(tagNames, RELEASE_FETCH_CONCURRENCY, async tagName => {
+    const release = releasesByTag.get(tagName);
+    const tag = tagsByName.get(tagName);
+    const sha = tag?.commit?.sha || null;
+    
+    // Releases are placed by publish date, plain tags by their commit date
+    const date = release
+      ? release.published_at || release.created_at
+      : await fetchTagCommitDate(env, repo, token, sha, budget);
+    if (!date) {
+      console.warn(`Release fetch budget used up, leaving tag ${repo}@${tagName} out`);
+      if (onTruncated) onTruncated();
+      return null;
+    }
+    
+    return {
+      tag: tagName,
+      name: release?.name || tagName,
+      type: release ? 'release' : 'tag',
+      prerelease: !!release?.prerelease,
+      sha: sha,
+      date: date,
+      notes: release?.body || null,
+      repo: repo,
+      org: parseRepoKey(repo).owner,
+      url: release ? release.html_url : `https://github.com/${repo}/releases/tag/${encodeURIComponent(tagName)}`
+    };
+  });
+  
+  return entries.filter(Boolean).sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Gets the commits between two tags (or all commits up to a tag when there is no previous one)
+ * Commits are kept raw (see toStoredCommit) so author identities are resolved with the current config.
+ * A range longer than the page limit allows is returned as far as it was read, but not stored.
+ * @param {Object} env - Worker environment
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string|null} previousTag - Previous tag name
+ * @param {string} tag - Tag name
+ * @param {Function} onTruncated - Called when the range is cut off by the page limit (optional)
+ * @param {Object} budget - Shared counter of uncached fetches left ({ remaining })
+ * @returns {Promise<Array|null>} Raw commits with repo/org added, newest first; null if over budget
+ */
+async function fetchTagRangeCommits(env, repo, token, previousTag, tag, onTruncated = null, budget = { remaining: Infinity }) {
+  const storeKey = `tag-commits:${repo}:${previousTag || ''}...${tag}`;
+  
+  if (env.EOYR_CACHE) {
+    const stored = await env.EOYR_CACHE.get(storeKey, 'json');
+    if (stored) {
+      return stored;
+    }
+  }
+  
+  if (budget.remaining <= 0) {
+    return null;
+  }
+  budget.remaining--;
+  
+  let truncated = false;
+  const onPageLimit = () => {
+    truncated = true;
+    if (onTruncated) onTruncated();
+  };
+  
+  let rawCommits;
+  if (previousTag) {
+    // Compare lists commits oldest first and pages through them with the Link header
+    const compareUrl = `${GITHUB_API_BASE}/repos/${repo}/compare/${encodeURIComponent(previousTag)}...${encodeURIComponent(tag)}?per_page=100`;
+    const fetchComparePage = async url => {
+      const response = await githubGet(url, token);
+      if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status} - ${await response.text()}`);
+      }
+      const comparison = await response.json();
+      return { items: comparison.commits || [], next: getNextPageUrl(response.headers.get('Link')) };
+    };
+    rawCommits = (await collectPages(compareUrl, fetchComparePage, () => false, onPageLimit)).reverse();
+  } else {
+    rawCommits = await fetchAllPages(
+      `${GITHUB_API_BASE}/repos/${repo}/commits?sha=${encodeURIComponent(tag)}&per_page=100`,
+      token,
+      page => page.length < 100,
+      onPageLimit
+    );
+  }
+  
+  const commits = rawCommits.map(commit => toStoredCommit({ ...commit, repo: repo, org: parseRepoKey(repo).owner }));
+  
+  if (env.EOYR_CACHE && !truncated) {
+    await env.EOYR_CACHE.put(storeKey, JSON.stringify(commits));
+  }
+  return commits;
+}
+
+/**
+ * Gets releases of a repository in a date range, each with its categorized changelog
+ * A release whose changelog is not stored yet once the budget is used up is
+ * returned without it (commitCount null) and the repo is marked in the report.
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config (authors are resolved with it)
+ * @param {string} repo - Repository key (owner/name)
+ * @param {string} token - GitHub personal access token
+ * @param {string} since - Start date (YYYY-MM-DD), null for no lower bound
+ * @param {string} until - End date (YYYY-MM-DD), null for no upper bound
+ * @param {Object} calendar - Time zone the dates are local to (see getCalendar)
+ * @param {Object} report - Fetch report, marked when a listing or changelog hits the page limit or the budget (optional)
+ * @param {Object} budget - Shared counter of uncached tag date and changelog fetches left ({ remaining })
+ * @returns {Promise<Array>} Releases with changelogs
+ */
+async function getRepoReleases(env, config, repo, token, since = null, until = null, calendar = DEFAULT_CALENDAR, report = null, budget = { remaining: Infinity }) {
+  const onTruncated = () => recordFetchTruncation(report, repo);
+  const timeline = await fetchRepoReleaseTimeline(env, repo, token, onTruncated, budget);
+  
+  const inRange = timeline
+    .map((entry, index) => ({ ...entry, previousTag: index > 0 ? timeline[index - 1].tag : null }))
+    .filter(entry => isInDateRange(entry.date, since, until, calendar));
+  
+  return mapWithConcurrency(inRange, RELEASE_FETCH_CONCURRENCY, async entry => {
+    const rawCommits = await fetchTagRangeCommits(env, repo, token, entry.previousTag, entry.tag, onTruncated, budget);
+    if (!rawCommits) {
+      console.warn(`Release fetch budget used up, listing ${repo}@${entry.tag} without its changelog`);
+      recordFetchFailure(report, repo, null);
+      return { ...entry, commitCount: null, changelog: categorizeCommits([]), changelogCounts: null };
+    }
+    
+    const commits = resolveCommitAuthors(rawCommits, config).map(formatCommit);
+    const categories = categorizeCommits(commits);
+    
+    return {
+      ...entry,
+      commitCount: commits.length,
+      changelog: categories,
+      changelogCounts: Object.fromEntries(
+        Object.entries(categories).map(([category, items]) => [category, items.length])
+      )
+    };
+  });
+}
+
+/**
+ * Part 7: API Endpoints with Filtering
+ * Repos are identified by their owner/name key (the GitHub full name) in
+ * responses, query parameters and KV keys, so repos with the same name under
+ * different owners never collide.
+ */
+
+/**
+ * Gets the key a repository is identified by
+ * @param {string} owner - Organization or user that owns the repo
+ * @param {string} name - Repository name
+ * @returns {string} Repository key (owner/name)
+ */
+function getRepoKey(owner, name) {
+  return `${owner}/${name}`;
+}
+
+/**
+ * Splits a repository key into its owner and name
+ * The name is the last path segment, so GitLab subgroups stay in the owner
+ * @param {string} repoKey - Repository key (owner/name)
+ * @returns {Object} Object with owner and name
+ */
+function parseRepoKey(repoKey) {
+  const slash = repoKey.lastIndexOf('/');
+  return slash === -1
+    ? { owner: null, name: repoKey }
+    : { owner: repoKey.slice(0, slash), name: repoKey.slice(slash + 1) };
+}
+
+/**
+ * Checks whether a repo reference from a query parameter or API key names a repo
+ * References are owner/name keys; a plain name matches that name under any owner
+ * @param {string} repoKey - Repository key (owner/name)
+ * @param {string} ref - Repo reference (owner/name or name)
+ * @returns {boolean} True if the reference names the repo
+ */
+function matchesRepoRef(repoKey, ref) {
+  return ref === repoKey || (!ref.includes('/') && parseRepoKey(repoKey).name === ref);
+}
+
+/**
+ * Gets the keys of the configured repos a repo query parameter selects
+ * @param {Object} config - Repos config from getRepos
+ * @param {string|null} repoFilter - Comma-separated repo references, null for all repos
+ * @returns {Array<string>} Repository keys in config order
+ */
+function selectRepos(config, repoFilter = null) {
+  const refs = repoFilter ? repoFilter.split(',').map(r => r.trim()).filter(Boolean) : null;
+  return config.repos
+    .filter(repo => !refs || refs.some(ref => matchesRepoRef(repo.fullName, ref)))
+    .map(repo => repo.fullName);
+}
+
+/**
+ * Resolves the token to read each repo with
+ * A repo's "token" setting names the Worker secret holding its token; GitHub
+ * repos without one (or whose secret is not set) use GITHUB_TOKEN, repos on
+ * other source providers are read anonymously
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config from getRepos
+ * @param {Array<string>} repos - Repository keys being fetched
+ * @returns {Object} Map of repo key to token (null for anonymous access)
+ */
+function resolveRepoTokens(env, config, repos) {
+  const tokens = {};
+  
+  repos.forEach(repoKey => {
+    const repoConfig = config.repos.find(r => r.fullName === repoKey) || {};
+    const fallback = getRepoProvider(config, repoKey) === 'github' ? env.GITHUB_TOKEN : null;
+    if (repoConfig.token && !env[repoConfig.token]) {
+      console.warn(`Secret ${repoConfig.token} for ${repoKey} is not set, using ${fallback ? 'GITHUB_TOKEN' : 'no token'}`);
+    }
+    tokens[repoKey] = (repoConfig.token && env[repoConfig.token]) || fallback;
+  });
+  
+  return tokens;
+}
+
+/**
+ * Gets the source provider a repo is hosted on
+ * GitLab repos with an "apiBase" get the provider of their own instance
+ * @param {Object} config - Repos config from getRepos
+ * @param {string} repoKey - Repository key (owner/name)
+ * @returns {string} Provider name ("github" when the repo entry sets none)
+ */
+function getRepoProvider(config, repoKey) {
+  const repoConfig = config.repos.find(r => r.fullName === repoKey) || {};
+  if (repoConfig.provider === 'gitlab' && repoConfig.apiBase) {
+    return getGitLabProviderName(repoConfig.apiBase.replace(/\/+$/, ''));
+  }
+  return repoConfig.provider || DEFAULT_SOURCE_PROVIDER;
+}
+
+/**
+ * Resolves the source provider of each repo
+ * @param {Object} config - Repos config from getRepos
+ * @param {Array<string>} repos - Repository keys being fetched
+ * @returns {Object} Map of repo key to provider name
+ */
+function resolveRepoProviders(config, repos) {
+  const providers = {};
+  repos.forEach(repoKey => {
+    providers[repoKey] = getRepoProvider(config, repoKey);
+  });
+  return providers;
+}
+
+/**
+ * Narrows repo keys to the GitHub-hosted ones, for the GitHub-only features
+ * (pull requests, issues, releases, commit stats lookups)
+ * @param {Object} config - Repos config from getRepos
+ * @param {Array<string>} repos - Repository keys
+ * @returns {Array<string>} Keys of the repos on GitHub
+ */
+function onlyGitHubRepos(config, repos) {
+  return repos.filter(repoKey => getRepoProvider(config, repoKey) === 'github');
+}
+
+/**
+ * Checks whether GITHUB_TOKEN is needed for a set of repos but not configured
+ * Repos on other source providers bring their own token (or none)
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config from getRepos
+ * @param {Array<string>} repos - Repository keys being fetched
+ * @returns {boolean} True if a GitHub repo is selected and there is no GITHUB_TOKEN
+ */
+function isGitHubTokenMissing(env, config, repos) {
+  return !env.GITHUB_TOKEN && onlyGitHubRepos(config, repos).length > 0;
+}
+
+/**
+ * Fills in the owner of a repo entry (the config's organization unless it names
+ * its own) and its owner/name key
+ * @param {Object} repo - Repo entry from the config
+ * @param {string} organization - Default owner from the config
+ * @returns {Object} Repo entry with owner and fullName
+ */
+function withRepoOwner(repo, organization) {
+  const owner = repo.owner || organization;
+  return { ...repo, owner: owner, fullName: getRepoKey(owner, repo.name) };
+}
+
+/**
+ * Gets list of repositories from config
+ * Each repo gets its owner and fullName (owner/name) filled in
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array>} Array of repo objects
+ */
+async function getRepos(env) {
+  // In production, this would fetch from config/repos.json
+  // For now, return hardcoded list (can be made configurable via env var)
+  const reposConfig = env.REPOS_CONFIG || JSON.stringify({
+    organization: "core-home-web",
+    repos: [
+      { name: "hydragearbottle_website", displayName: "Hydragear Bottle" },
+      { name: "core_render_portal", displayName: "Core Render Portal" },
+      { name: "outlaw_spice", displayName: "Outlaw Spice" },
+      { name: "people_of_spice", displayName: "People of Spice" },
+      { name: "spice-st-market", displayName: "Spice St Market" }
+    ],
+    weekStartDay: "monday"
+  });
+  
+  const config = JSON.parse(reposConfig);
+  config.repos = (config.repos || []).map(repo => withRepoOwner(repo, config.organization));
+  
+  // A discover block adds the organization's matching repos to the listed ones
+  if (config.discover) {
+    config.repos = await discoverRepos(env, config);
+  }
+  
+  // Requests made with a scoped API key only see the repos the key allows
+  if (env.AUTH_REPOS) {
+    config.repos = config.repos.filter(repo => env.AUTH_REPOS.some(ref => matchesRepoRef(repo.fullName, ref)));
+  }
+  
+  return config;
+}
+
+/**
+ * API endpoint: GET /api/repos
+ * Returns list of available repositories (with their owner, GitHub description,
+ * default branch and visibility) and the calendar the dashboard groups by
+ */
+async function handleGetRepos(env) {
+  const config = await getRepos(env);
+  const calendar = getCalendar(config);
+  
+  // Discovered repos already carry their metadata; listed GitHub repos get it
+  // here, one listing per owner read with the token of that owner's first repo
+  let repos = config.repos;
+  if (!config.discover && env.GITHUB_TOKEN) {
+    const githubRepos = onlyGitHubRepos(config, repos.map(repo => repo.fullName));
+    const owners = [...new Set(githubRepos.map(repoKey => parseRepoKey(repoKey).owner))];
+    const tokens = resolveRepoTokens(env, config, githubRepos);
+    for (const owner of owners) {
+      try {
+        const ownerToken = tokens[githubRepos.find(repoKey => parseRepoKey(repoKey).owner === owner)];
+        repos = withRepoMetadata(repos, await fetchOrgRepos(env, owner, ownerToken), owner);
+      } catch (error) {
+        console.error(`Could not list repos of ${owner}:`, error);
+      }
+    }
+  }
+  
+  return new Response(JSON.stringify({
+    // The token setting only names a secret, but it is server configuration
+    repos: repos.map(({ token, ...repo }) => repo),
+    organization: config.organization,
+    weekStartDay: WEEKDAY_NAMES[calendar.weekStartDay],
+    timeZone: calendar.timeZone
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * API endpoint: GET /api/weeks
+ * Returns list of weeks with commit summaries, filtered by date range and repo
+ */
+async function handleGetWeeks(request, env) {
+  const url = new URL(request.url);
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const repoFilter = url.searchParams.get('repo'); // Single repo or comma-separated list
+  const branchParam = url.searchParams.get('branch'); // Branch name(s) or ALL_BRANCHES
+  const timeZone = url.searchParams.get('tz'); // IANA time zone dates are local to
+  const excludeBots = url.searchParams.get('excludeBots'); // 'true' or 'false', overrides the authors config
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Check cache first
+  const cacheKey = getCacheKey('weeks', { from: since, to: until, repo: repoFilter, branch: branchParam, tz: getCacheTimeZone(env, timeZone), excludeBots });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(cached), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = withExcludeBots(await getRepos(env), excludeBots);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided
+  const reposToFetch = selectRepos(config, repoFilter);
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Fetch commits
+  const report = createFetchReport();
+  const commits = await fetchConfiguredCommits(env, config, reposToFetch, since, until, branchParam, report, calendar);
+  
+  // Group by week
+  const weekGroups = groupCommitsByWeek(commits, getCommitDate, calendar);
+  
+  // Format response
+  const weeks = Object.keys(weekGroups)
+    .sort()
+    .reverse() // Newest first
+    .map(weekId => {
+      const weekCommits = weekGroups[weekId];
+      
+      // Get unique repos for this week
+      const repos = [...new Set(weekCommits.map(c => c.repo))];
+      
+      return {
+        weekId: weekId,
+        startDate: weekId,
+        endDate: shiftDateId(weekId, 6),
+        commitCount: weekCommits.length,
+        repos: repos,
+        repoCount: repos.length
+      };
+    });
+  
+  const response = { weeks: weeks };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: since,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * API endpoint: GET /api/weeks/:weekId
+ * Returns detailed commits for a specific week
+ */
+async function handleGetWeekDetail(request, env, weekId) {
+  const timeZone = new URL(request.url).searchParams.get('tz');
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const config = await getRepos(env);
+  
+  if (isGitHubTokenMissing(env, config, selectRepos(config))) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const response = await getWeekDetail(env, config, weekId, getCalendar(config, timeZone));
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Gets the commits of one week broken down by repo (cached)
+ * Shared by /api/weeks/:weekId and the weekly report
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config from getRepos
+ * @param {string} weekId - Week identifier (YYYY-MM-DD of its first day)
+ * @param {Object} calendar - Time zone the week's days are local to (see getCalendar)
+ * @returns {Promise<Object>} Week detail ({ weekId, startDate, endDate, repos, complete })
+ */
+async function getWeekDetail(env, config, weekId, calendar = DEFAULT_CALENDAR) {
+  // Check cache first (scoped API keys see fewer repos, so they get their own entry)
+  const cacheKey = getCacheKey(`week-${weekId}`, {
+    ...(env.AUTH_REPOS ? { repo: env.AUTH_REPOS.join(',') } : {}),
+    ...(calendar.timeZone !== 'UTC' ? { tz: calendar.timeZone } : {})
+  });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  // The week is the seven local days from weekId
+  const since = weekId;
+  const until = shiftDateId(weekId, 6);
+  
+  // Fetch commits for this week
+  const repos = selectRepos(config);
+  const report = createFetchReport();
+  const commits = await fetchConfiguredCommits(env, config, repos, since, until, null, report, calendar);
+  
+  // Filter to only commits in this week
+  const weekCommits = commits.filter(commit => isInDateRange(getCommitDate(commit), since, until, calendar));
+  
+  // PRs merged after the week can still contain its commits, so look up to today
+  // (the GraphQL backend returns commits with their PR already attached)
+  if (!usesGraphQL(config)) {
+    const githubRepos = onlyGitHubRepos(config, repos);
+    const pulls = await fetchAllPulls(env, githubRepos, resolveRepoTokens(env, config, githubRepos), since, null, report, calendar, weekCommits);
+    attachPullRequests(weekCommits, pulls);
+  }
+  
+  // Group by repo
+  const commitsByRepo = {};
+  weekCommits.forEach(commit => {
+    if (!commitsByRepo[commit.repo]) {
+      commitsByRepo[commit.repo] = [];
+    }
+    const parsed = parseCommitMessage(commit.commit.message);
+    commitsByRepo[commit.repo].push({
+      sha: commit.sha,
+      message: commit.commit.message,
+      type: parsed.type,
+      scope: parsed.scope,
+      breaking: parsed.breaking,
+      author: getCommitIdentity(commit).name,
+      date: commit.commit.author.date,
+      url: commit.html_url,
+      pullRequest: commit.pullRequest || null
+    });
+  });
+  
+  const response = {
+    weekId: weekId,
+    startDate: since,
+    endDate: until,
+    repos: commitsByRepo
+  };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: repos,
+    from: since,
+    to: until
+  });
+  
+  return response;
+}
+
+/**
+ * Encodes the /api/commits cursor pointing after a commit
+ * @param {number} offset - Position of the next commit in the full sorted list
+ * @param {string} sha - SHA of the last commit already returned
+ * @returns {string} URL-safe cursor
+ */
+function encodeCommitsCursor(offset, sha) {
+  return base64UrlEncode(JSON.stringify({ offset, sha }));
+}
+
+/**
+ * Decodes an /api/commits cursor
+ * @param {string} cursor - Cursor from a previous response's nextCursor
+ * @returns {Object|null} Cursor ({ offset, sha }) or null if malformed
+ */
+function decodeCommitsCursor(cursor) {
+  try {
+    const decoded = JSON.parse(base64UrlDecode(cursor));
+    if (Number.isInteger(decoded.offset) && decoded.offset >= 0 && typeof decoded.sha === 'string') {
+      return decoded;
+    }
+  } catch (error) {
+    // Fall through to null
+  }
+  return null;
+}
+
+/**
+ * Cuts one page of commits out of a full /api/commits response
+ * A group split across pages appears on each page with the commits that fall
+ * on it; its counts and stats always describe the whole group
+ * @param {Object} response - Full response with every group and commit
+ * @param {number} limit - Maximum commits on the page
+ * @param {Object|null} cursor - Decoded cursor, null for the first page
+ * @returns {Object} Response for the page with page info and nextCursor
+ */
+function paginateCommitGroups(response, limit, cursor = null) {
+  const commits = response.groups.flatMap(group => group.commits);
+  
+  let start = cursor ? Math.min(cursor.offset, commits.length) : 0;
+  // The cached list is rebuilt when new commits arrive, which shifts offsets;
+  // resume after the last commit the client has seen when it moved
+  if (cursor && commits[start - 1]?.sha !== cursor.sha) {
+    const index = commits.findIndex(commit => commit.sha === cursor.sha);
+    if (index !== -1) start = index + 1;
+  }
+  const end = Math.min(start + limit, commits.length);
+  
+  const groups = [];
+  let position = 0;
+  response.groups.forEach(group => {
+    const groupStart = position;
+    position += group.commits.length;
+    
+    const from = Math.max(start, groupStart);
+    const to = Math.min(end, position);
+    if (from < to) {
+      groups.push({ ...group, commits: group.commits.slice(from - groupStart, to - groupStart) });
+    }
+  });
+  
+  return {
+    ...response,
+    groups: groups,
+    page: {
+      limit: limit,
+      offset: start,
+      count: end - start
+    },
+    nextCursor: end < commits.length ? encodeCommitsCursor(end, commits[end - 1].sha) : null
+  };
+}
+
+/**
+ * API endpoint: GET /api/commits
+ * Returns all commits grouped by day/week/month/year with full commit messages
+ * Query params:
+ *   - groupBy: 'day', 'week', 'month', 'year' (default: 'week')
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - from: Start date (YYYY-MM-DD)
+ *   - to: End date (YYYY-MM-DD)
+ *   - sortBy: 'date', 'repo', 'author' (default: 'date')
+ *   - sortOrder: 'asc', 'desc' (default: 'desc')
+ *   - search: Search term for commit messages
+ *   - author: Only commits by this author (email or name, case-insensitive)
+ *   - type: Conventional Commits type(s), comma-separated (feat, fix, docs, ... or other); 'breaking' for breaking changes
+ *   - branch: Branch name(s) or * for every branch (default: configured branches)
+ *   - include: Comma-separated extras; 'stats' adds additions/deletions/files per commit
+ *   - limit: Return at most this many commits, plus a nextCursor for the rest
+ *   - cursor: nextCursor from the previous page
+ *   - tz: IANA time zone that dates and groups are local to (default: repos.json timeZone, then UTC)
+ */
+async function handleGetCommits(request, env) {
+  const url = new URL(request.url);
+  const groupBy = url.searchParams.get('groupBy') || 'week';
+  const repoFilter = url.searchParams.get('repo');
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const sortBy = url.searchParams.get('sortBy') || 'date';
+  const sortOrder = url.searchParams.get('sortOrder') || 'desc';
+  const searchTerm = url.searchParams.get('search');
+  const authorFilter = url.searchParams.get('author');
+  const typeFilter = url.searchParams.get('type'); // Commit type(s) or 'breaking'
+  const branchParam = url.searchParams.get('branch'); // Branch name(s) or ALL_BRANCHES
+  const include = (url.searchParams.get('include') || '').split(',').map(i => i.trim()).filter(Boolean);
+  const includeStats = include.includes('stats');
+  const limitParam = url.searchParams.get('limit');
+  const cursorParam = url.searchParams.get('cursor');
+  const timeZone = url.searchParams.get('tz');
+  const excludeBots = url.searchParams.get('excludeBots'); // 'true' or 'false', overrides the authors config
+
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Pages are cut from the full (cached) response, so limit and cursor stay out of the cache key
+  const limit = limitParam ? Number(limitParam) : cursorParam ? COMMITS_PAGE_SIZE : null;
+  const cursor = cursorParam ? decodeCommitsCursor(cursorParam) : null;
+  if ((limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > COMMITS_MAX_PAGE_SIZE)) ||
+      (cursorParam && !cursor)) {
+    return new Response(JSON.stringify({
+      error: `Invalid pagination: limit must be 1-${COMMITS_MAX_PAGE_SIZE} and cursor a nextCursor value`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  const paginate = response => limit ? paginateCommitGroups(response, limit, cursor) : response;
+  
+  // Check cache first
+  const cacheKey = getCacheKey('commits', { 
+    groupBy, repo: repoFilter, from: since, to: until, 
+    sortBy, sortOrder, search: searchTerm, author: authorFilter, type: typeFilter,
+    branch: branchParam, include: include.sort().join(','), tz: getCacheTimeZone(env, timeZone), excludeBots
+  });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(paginate(cached)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = withExcludeBots(await getRepos(env), excludeBots);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided
+  const reposToFetch = selectRepos(config, repoFilter);
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Default date range: last 2 years if not specified
+  let effectiveSince = since;
+  let effectiveUntil = until;
+  
+  if (!effectiveSince) {
+    const twoYearsAgo = new Date();
+    twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+    effectiveSince = formatDate(twoYearsAgo);
+  }
+  
+  if (!effectiveUntil) {
+    effectiveUntil = getLocalDateId(new Date(), calendar.timeZone);
+  }
+  
+  // Fetch all commits from the commit store
+  const report = createFetchReport();
+  const tokens = resolveRepoTokens(env, config, reposToFetch);
+  let commits = await fetchConfiguredCommits(env, config, reposToFetch, effectiveSince, effectiveUntil, branchParam, report, calendar);
+  
+  console.log(`Total commits fetched: ${commits.length}`);
+  
+  // PRs merged after the range can still contain its commits, so look up to today
+  // (the GraphQL backend returns commits with their PR already attached)
+  if (!usesGraphQL(config)) {
+    const pulls = await fetchAllPulls(env, onlyGitHubRepos(config, reposToFetch), tokens, effectiveSince, null, report, calendar, commits);
+    attachPullRequests(commits, pulls);
+  }
+  
+  // Apply search filter if provided
+  if (searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    commits = commits.filter(commit => 
+      commit.commit.message.toLowerCase().includes(searchLower) ||
+      (getCommitIdentity(commit).name || '').toLowerCase().includes(searchLower) ||
+      (commit.commit.author.name || '').toLowerCase().includes(searchLower) ||
+      commit.repo.toLowerCase().includes(searchLower)
+    );
+  }
+  
+  // Apply author filter if provided
+  if (authorFilter) {
+    commits = commits.filter(commit => commitMatchesAuthor(commit, authorFilter));
+  }
+  
+  // Apply type filter if provided
+  if (typeFilter) {
+    const types = typeFilter.split(',').map(t => t.trim().toLowerCase());
+    commits = commits.filter(commit => commitMatchesType(commit, types));
+  }
+  
+  // Sort commits
+  commits.sort((a, b) => {
+    let comparison = 0;
+    switch (sortBy) {
+      case 'date':
+        comparison = new Date(a.commit.author.date) - new Date(b.commit.author.date);
+        break;
+      case 'repo':
+        comparison = a.repo.localeCompare(b.repo);
+        break;
+      case 'author':
+        comparison = (getCommitIdentity(a).name || '').localeCompare(getCommitIdentity(b).name || '');
+        break;
+      default:
+        comparison = new Date(a.commit.author.date) - new Date(b.commit.author.date);
+    }
+    return sortOrder === 'desc' ? -comparison : comparison;
+  });
+  
+  // Enrich with line stats if requested
+  const statsComplete = includeStats ? await attachCommitStats(env, commits, tokens) : true;
+  
+  // Group commits
+  const groups = groupByPeriod(commits, groupBy, getCommitDate, calendar);
+  
+  // Format response
+  const groupKeys = Object.keys(groups).sort();
+  if (sortOrder === 'desc') {
+    groupKeys.reverse();
+  }
+  
+  const formattedGroups = groupKeys.map(groupId => {
+    const groupCommits = groups[groupId];
+    const repos = [...new Set(groupCommits.map(c => c.repo))];
+    
+    // Get date range for group
+    const dates = groupCommits.map(c => new Date(c.commit.author.date));
+    const startDate = new Date(Math.min(...dates));
+    const endDate = new Date(Math.max(...dates));
+    
+    return {
+      id: groupId,
+      type: groupBy,
+      label: getGroupLabel(groupId, groupBy),
+      startDate: getLocalDateId(startDate, calendar.timeZone),
+      endDate: getLocalDateId(endDate, calendar.timeZone),
+      commitCount: groupCommits.length,
+      repos: repos,
+      repoCount: repos.length,
+      ...(includeStats ? sumCommitStats(groupCommits) : {}),
+      commits: groupCommits.map(formatCommit)
+    };
+  });
+  
+  const response = {
+    groups: formattedGroups,
+    totalCommits: commits.length,
+    ...(includeStats ? { totals: sumCommitStats(commits), statsComplete } : {}),
+    totalGroups: formattedGroups.length,
+    dateRange: {
+      from: effectiveSince,
+      to: effectiveUntil
+    },
+    filters: {
+      groupBy,
+      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
+      sortBy,
+      sortOrder,
+      search: searchTerm,
+      author: authorFilter,
+      type: typeFilter,
+      include,
+      tz: calendar.timeZone,
+      excludeBots: !!config.authors?.excludeBots
+    }
+  };
+  
+  // Cache the response (shorter TTL for larger responses, and for partial stats
+  // or missing repos so the gaps are filled in on a later request)
+  applyFetchReport(response, report);
+  const ttl = !response.complete ? INCOMPLETE_CACHE_TTL : !statsComplete ? 300 : commits.length > 500 ? 1800 : CACHE_TTL;
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: effectiveSince,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(paginate(response)), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Gets the key of a commit's git author
+ * Email is preferred since the same person can commit under several names
+ * @param {Object} commit - Raw commit object
+ * @returns {string} Author key (lowercased)
+ */
+function getRawAuthorKey(commit) {
+  return (commit.commit.author.email || commit.commit.author.name || 'unknown').toLowerCase();
+}
+
+/**
+ * Gets the key commits are attributed to an author by
+ * @param {Object} commit - Raw commit object
+ * @returns {string} Canonical author id (see getCommitIdentity)
+ */
+function getAuthorKey(commit) {
+  return getCommitIdentity(commit).id;
+}
+
+/**
+ * Checks whether a commit was made by an author
+ * @param {Object} commit - Raw commit object
+ * @param {string} author - Author id, email or name (canonical or as committed)
+ * @returns {boolean} True if any of them matches (case-insensitive)
+ */
+function commitMatchesAuthor(commit, author) {
+  const authorLower = author.toLowerCase();
+  const identity = getCommitIdentity(commit);
+  return [identity.id, identity.name, identity.email, commit.commit.author.email, commit.commit.author.name]
+    .some(value => (value || '').toLowerCase() === authorLower);
+}
+
+/**
+ * Aggregates commits per author
+ * @param {Array} commits - Raw commit objects
+ * @param {Object} calendar - Time zone active days are counted in (see getCalendar)
+ * @returns {Array} Contributor summaries, most commits first
+ */
+function aggregateContributors(commits, calendar = DEFAULT_CALENDAR) {
+  const byAuthor = new Map();
+  
+  commits.forEach(commit => {
+    const identity = getCommitIdentity(commit);
+    if (!byAuthor.has(identity.id)) {
+      byAuthor.set(identity.id, {
+        identity: identity,
+        commits: [],
+        days: new Set(),
+        repos: new Set()
+      });
+    }
+    
+    const entry = byAuthor.get(identity.id);
+    entry.commits.push(commit);
+    entry.days.add(getLocalDateId(commit.commit.author.date, calendar.timeZone));
+    entry.repos.add(commit.repo);
+  });
+  
+  const toCommitRef = commit => ({
+    sha: commit.sha,
+    shortSha: commit.sha.substring(0, 7),
+    messageFirstLine: commit.commit.message.split('\n')[0],
+    date: commit.commit.author.date,
+    repo: commit.repo,
+    url: commit.html_url
+  });
+  
+  return [...byAuthor.values()].map(entry => {
+    const sorted = entry.commits.sort((a, b) =>
+      new Date(a.commit.author.date) - new Date(b.commit.author.date)
+    );
+    
+    return {
+      id: entry.identity.id,
+      name: entry.identity.name,
+      email: entry.identity.email,
+      avatar: entry.identity.avatar,
+      bot: entry.identity.bot,
+      commitCount: sorted.length,
+      activeDays: entry.days.size,
+      repos: [...entry.repos].sort(),
+      repoCount: entry.repos.size,
+      firstCommit: toCommitRef(sorted[0]),
+      lastCommit: toCommitRef(sorted[sorted.length - 1])
+    };
+  }).sort((a, b) => b.commitCount - a.commitCount);
+}
+
+/**
+ * Export columns in output order, with how each is read from a formatted commit
+ * Line stats columns are only written when the export includes stats
+ */
+const EXPORT_COLUMNS = [
+  ['project', (commit, context) => context.displayNames.get(commit.repo) || commit.repo],
+  ['repo', commit => commit.repo],
+  ['author', commit => commit.author],
+  ['authorEmail', commit => commit.authorEmail],
+  ['date', commit => commit.date],
+  ['sha', commit => commit.sha],
+  ['category', (commit, context) => context.categories.get(commit.sha)],
+  ['type', commit => commit.type],
+  ['scope', commit => commit.scope],
+  ['breaking', commit => commit.breaking],
+  ['message', commit => commit.messageFirstLine],
+  ['url', commit => commit.url]
+];
+const EXPORT_STATS_COLUMNS = [
+  ['additions', commit => commit.additions ?? null],
+  ['deletions', commit => commit.deletions ?? null]
+];
+
+/**
+ * Escapes one CSV field
+ * Values starting with a formula character are prefixed with ' so spreadsheets show them as text
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Streams rows out as a response body, a batch at a time
+ * @param {Array} rows - Items to write
+ * @param {Function} serialize - Turns a row and its index into text
+ * @param {string} prefix - Text written before the first row
+ * @param {string} suffix - Text written after the last row
+ * @returns {ReadableStream} Response body
+ */
+function streamRows(rows, serialize, prefix = '', suffix = '') {
+  const encoder = new TextEncoder();
+  let index = 0;
+  
+  return new ReadableStream({
+    start(controller) {
+      if (prefix) controller.enqueue(encoder.encode(prefix));
+    },
+    pull(controller) {
+      if (index >= rows.length) {
+        if (suffix) controller.enqueue(encoder.encode(suffix));
+        controller.close();
+        return;
+      }
+      const end = Math.min(index + 100, rows.length);
+      let chunk = '';
+      for (; index < end; index++) {
+        chunk += serialize(rows[index], index);
+      }
+      controller.enqueue(encoder.encode(chunk));
+    }
+  });
+}
+
+/**
+ * API endpoint: GET /api/export
+ * Downloads the commits of an /api/commits query, one row per commit
+ * Query params:
+ *   - format: 'csv', 'json', 'ndjson' (default: 'csv')
+ *   - Every /api/commits filter (groupBy, repo, from, to, sortBy, sortOrder, search, author, branch, include)
+ *     include=stats adds additions/deletions columns
+ */
+async function handleGetExport(request, env) {
+  const url = new URL(request.url);
+  const format = url.searchParams.get('format') || 'csv';
+  
+  if (!['csv', 'json', 'ndjson'].includes(format)) {
+    return new Response(JSON.stringify({ error: 'Invalid format: use csv, json or ndjson' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Run the same query as /api/commits (and share its cache entry), without pagination
+  const commitsUrl = new URL(url);
+  commitsUrl.pathname = '/api/commits';
+  ['format', 'limit', 'cursor'].forEach(param => commitsUrl.searchParams.delete(param));
+  const commitsResponse = await handleGetCommits(new Request(commitsUrl.toString()), env);
+  if (!commitsResponse.ok) {
+    return commitsResponse;
+  }
+  const data = await commitsResponse.json();
+  
+  const commits = data.groups.flatMap(group => group.commits);
+  const config = await getRepos(env);
+  const categories = new Map();
+  Object.entries(categorizeCommits(commits)).forEach(([category, items]) => {
+    items.forEach(commit => categories.set(commit.sha, category));
+  });
+  const context = {
+    displayNames: new Map(config.repos.map(repo => [repo.fullName, repo.displayName || repo.name])),
+    categories: categories
+  };
+  const columns = data.totals ? [...EXPORT_COLUMNS, ...EXPORT_STATS_COLUMNS] : EXPORT_COLUMNS;
+  const toRow = commit => Object.fromEntries(columns.map(([name, read]) => [name, read(commit, context)]));
+  
+  let body;
+  let contentType;
+  if (format === 'csv') {
+    const header = columns.map(([name]) => name).join(',') + '\r\n';
+    body = streamRows(commits, commit => columns.map(([, read]) => toCsvField(read(commit, context))).join(',') + '\r\n', header);
+    contentType = 'text/csv; charset=utf-8';
+  } else if (format === 'ndjson') {
+    body = streamRows(commits, commit => JSON.stringify(toRow(commit)) + '\n');
+    contentType = 'application/x-ndjson';
+  } else {
+    body = streamRows(commits, (commit, index) => (index > 0 ? ',\n' : '\n') + JSON.stringify(toRow(commit)), '[', '\n]\n');
+    contentType = 'application/json';
+  }
+  
+  const filename = `commits-${data.dateRange.from}-to-${data.dateRange.to}.${format}`;
+  return new Response(body, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    }
+  });
+}
+
+/**
+ * API endpoint: GET /api/contributors
+ * Returns per-author commit totals across the selected repos and date range
+ * Query params:
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - from: Start date (YYYY-MM-DD)
+ *   - to: End date (YYYY-MM-DD)
+ *   - sortBy: 'commits', 'activeDays', 'repos', 'name', 'lastCommit' (default: 'commits')
+ *   - tz: IANA time zone that dates and groups are local to (default: repos.json timeZone, then UTC)
+ */
+async function handleGetContributors(request, env) {
+  const url = new URL(request.url);
+  const repoFilter = url.searchParams.get('repo');
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const sortBy = url.searchParams.get('sortBy') || 'commits';
+  const timeZone = url.searchParams.get('tz'); // IANA time zone dates are local to
+  const excludeBots = url.searchParams.get('excludeBots'); // 'true' or 'false', overrides the authors config
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Check cache first
+  const cacheKey = getCacheKey('contributors', { repo: repoFilter, from: since, to: until, sortBy, tz: getCacheTimeZone(env, timeZone), excludeBots });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(cached), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = withExcludeBots(await getRepos(env), excludeBots);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided
+  const reposToFetch = selectRepos(config, repoFilter);
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Default date range: last 2 years if not specified
+  let effectiveSince = since;
+  let effectiveUntil = until;
+  
+  if (!effectiveSince) {
+    const twoYearsAgo = new Date();
+    twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+    effectiveSince = formatDate(twoYearsAgo);
+  }
+  
+  if (!effectiveUntil) {
+    effectiveUntil = getLocalDateId(new Date(), calendar.timeZone);
+  }
+  
+  const report = createFetchReport();
+  const commits = await fetchConfiguredCommits(env, config, reposToFetch, effectiveSince, effectiveUntil, null, report, calendar);
+  
+  const contributors = aggregateContributors(commits, calendar);
+  
+  switch (sortBy) {
+    case 'activeDays':
+      contributors.sort((a, b) => b.activeDays - a.activeDays);
+      break;
+    case 'repos':
+      contributors.sort((a, b) => b.repoCount - a.repoCount);
+      break;
+    case 'name':
+      contributors.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      break;
+    case 'lastCommit':
+      contributors.sort((a, b) => new Date(b.lastCommit.date) - new Date(a.lastCommit.date));
+      break;
+    default:
+      // Already sorted by commit count
+      break;
+  }
+  
+  const response = {
+    contributors: contributors,
+    totalContributors: contributors.length,
+    totalCommits: commits.length,
+    dateRange: {
+      from: effectiveSince,
+      to: effectiveUntil
+    },
+    filters: {
+      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
+      sortBy
+    }
+  };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: effectiveSince,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * API endpoint: GET /api/pulls
+ * Returns pull requests grouped by day/week/month/year
+ * Merged PRs are placed by merge date, all others by the date they were opened
+ * Query params:
+ *   - groupBy: 'day', 'week', 'month', 'year' (default: 'week')
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - from: Start date (YYYY-MM-DD)
+ *   - to: End date (YYYY-MM-DD)
+ *   - state: 'all', 'open', 'closed', 'merged' (default: 'all')
+ *   - sortBy: 'date', 'repo', 'author' (default: 'date')
+ *   - sortOrder: 'asc', 'desc' (default: 'desc')
+ *   - search: Search term for PR titles
+ *   - tz: IANA time zone that dates and groups are local to (default: repos.json timeZone, then UTC)
+ */
+async function handleGetPulls(request, env) {
+  const url = new URL(request.url);
+  const groupBy = url.searchParams.get('groupBy') || 'week';
+  const repoFilter = url.searchParams.get('repo');
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const stateFilter = url.searchParams.get('state') || 'all';
+  const sortBy = url.searchParams.get('sortBy') || 'date';
+  const sortOrder = url.searchParams.get('sortOrder') || 'desc';
+  const searchTerm = url.searchParams.get('search');
+  const timeZone = url.searchParams.get('tz'); // IANA time zone dates are local to
+  const excludeBots = url.searchParams.get('excludeBots'); // 'true' or 'false', overrides the authors config
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Check cache first
+  const cacheKey = getCacheKey('pulls', {
+    groupBy, repo: repoFilter, from: since, to: until,
+    state: stateFilter, sortBy, sortOrder, search: searchTerm, tz: getCacheTimeZone(env, timeZone), excludeBots
+  });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(cached), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = withExcludeBots(await getRepos(env), excludeBots);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided (pull requests are only read from GitHub)
+  const reposToFetch = onlyGitHubRepos(config, selectRepos(config, repoFilter));
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Default date range: last 2 years if not specified
+  let effectiveSince = since;
+  let effectiveUntil = until;
+  
+  if (!effectiveSince) {
+    const twoYearsAgo = new Date();
+    twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+    effectiveSince = formatDate(twoYearsAgo);
+  }
+  
+  if (!effectiveUntil) {
+    effectiveUntil = getLocalDateId(new Date(), calendar.timeZone);
+  }
+  
+  const report = createFetchReport();
+  let pulls = resolvePullAuthors(
+    await fetchAllPulls(env, reposToFetch, resolveRepoTokens(env, config, reposToFetch), effectiveSince, effectiveUntil, report, calendar),
+    config
+  );
+  
+  // Apply state filter
+  if (stateFilter !== 'all') {
+    pulls = pulls.filter(pull => pull.state === stateFilter);
+  }
+  
+  // Apply search filter if provided
+  if (searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    pulls = pulls.filter(pull =>
+      pull.title.toLowerCase().includes(searchLower) ||
+      (pull.author || '').toLowerCase().includes(searchLower) ||
+      (pull.authorLogin || '').toLowerCase().includes(searchLower) ||
+      pull.repo.toLowerCase().includes(searchLower)
+    );
+  }
+  
+  // Sort pull requests
+  pulls.sort((a, b) => {
+    let comparison = 0;
+    switch (sortBy) {
+      case 'repo':
+        comparison = a.repo.localeCompare(b.repo);
+        break;
+      case 'author':
+        comparison = (a.author || '').localeCompare(b.author || '');
+        break;
+      case 'date':
+      default:
+        comparison = new Date(getPullDate(a)) - new Date(getPullDate(b));
+    }
+    return sortOrder === 'desc' ? -comparison : comparison;
+  });
+  
+  // Group pull requests
+  const groups = groupByPeriod(pulls, groupBy, getPullDate, calendar);
+  
+  const groupKeys = Object.keys(groups).sort();
+  if (sortOrder === 'desc') {
+    groupKeys.reverse();
+  }
+  
+  const formattedGroups = groupKeys.map(groupId => {
+    const groupPulls = groups[groupId];
+    const repos = [...new Set(groupPulls.map(p => p.repo))];
+    
+    // Get date range for group
+    const dates = groupPulls.map(p => new Date(getPullDate(p)));
+    const startDate = new Date(Math.min(...dates));
+    const endDate = new Date(Math.max(...dates));
+    
+    return {
+      id: groupId,
+      type: groupBy,
+      label: getGroupLabel(groupId, groupBy),
+      startDate: getLocalDateId(startDate, calendar.timeZone),
+      endDate: getLocalDateId(endDate, calendar.timeZone),
+      pullCount: groupPulls.length,
+      mergedCount: groupPulls.filter(p => p.state === 'merged').length,
+      repos: repos,
+      repoCount: repos.length,
+      pulls: groupPulls
+    };
+  });
+  
+  const response = {
+    groups: formattedGroups,
+    totalPulls: pulls.length,
+    totalGroups: formattedGroups.length,
+    dateRange: {
+      from: effectiveSince,
+      to: effectiveUntil
+    },
+    filters: {
+      groupBy,
+      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
+      state: stateFilter,
+      sortBy,
+      sortOrder,
+      search: searchTerm
+    }
+  };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: effectiveSince,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * API endpoint: GET /api/issues
+ * Returns issues opened and closed per day/week/month/year
+ * Query params:
+ *   - groupBy: 'day', 'week', 'month', 'year' (default: 'week')
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - from: Start date (YYYY-MM-DD)
+ *   - to: End date (YYYY-MM-DD)
+ *   - sortOrder: 'asc', 'desc' (default: 'desc')
+ *   - search: Search term for issue titles
+ *   - tz: IANA time zone that dates and groups are local to (default: repos.json timeZone, then UTC)
+ */
+async function handleGetIssues(request, env) {
+  const url = new URL(request.url);
+  const groupBy = url.searchParams.get('groupBy') || 'week';
+  const repoFilter = url.searchParams.get('repo');
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const sortOrder = url.searchParams.get('sortOrder') || 'desc';
+  const searchTerm = url.searchParams.get('search');
+  const timeZone = url.searchParams.get('tz'); // IANA time zone dates are local to
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Check cache first
+  const cacheKey = getCacheKey('issues', {
+    groupBy, repo: repoFilter, from: since, to: until,
+    sortOrder, search: searchTerm, tz: getCacheTimeZone(env, timeZone)
+  });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(cached), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = await getRepos(env);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided (issues are only read from GitHub)
+  const reposToFetch = onlyGitHubRepos(config, selectRepos(config, repoFilter));
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Default date range: last 2 years if not specified
+  let effectiveSince = since;
+  let effectiveUntil = until;
+  
+  if (!effectiveSince) {
+    const twoYearsAgo = new Date();
+    twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+    effectiveSince = formatDate(twoYearsAgo);
+  }
+  
+  if (!effectiveUntil) {
+    effectiveUntil = getLocalDateId(new Date(), calendar.timeZone);
+  }
+  
+  const report = createFetchReport();
+  let issues = await fetchAllIssues(reposToFetch, resolveRepoTokens(env, config, reposToFetch), effectiveSince, effectiveUntil, report, calendar);
+  
+  // Apply search filter if provided
+  if (searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    issues = issues.filter(issue =>
+      issue.title.toLowerCase().includes(searchLower) ||
+      (issue.author || '').toLowerCase().includes(searchLower) ||
+      issue.repo.toLowerCase().includes(searchLower)
+    );
+  }
+  
+  // Group issues
+  const groups = groupIssuesByPeriod(issues, groupBy, effectiveSince, effectiveUntil, calendar);
+  
+  const groupKeys = Object.keys(groups).sort();
+  if (sortOrder === 'desc') {
+    groupKeys.reverse();
+  }
+  
+  const formattedGroups = groupKeys.map(groupId => {
+    const { opened, closed } = groups[groupId];
+    
+    // One entry per issue, flagged with what happened to it in this period
+    const openedNumbers = new Set(opened.map(issue => `${issue.repo}#${issue.number}`));
+    const closedNumbers = new Set(closed.map(issue => `${issue.repo}#${issue.number}`));
+    const groupIssues = [...new Map([...opened, ...closed].map(issue => [`${issue.repo}#${issue.number}`, issue])).values()]
+      .map(issue => ({
+        ...issue,
+        openedInGroup: openedNumbers.has(`${issue.repo}#${issue.number}`),
+        closedInGroup: closedNumbers.has(`${issue.repo}#${issue.number}`)
+      }))
+      .sort((a, b) => new Date(b.closedAt || b.createdAt) - new Date(a.closedAt || a.createdAt));
+    
+    const repos = [...new Set(groupIssues.map(i => i.repo))];
+    
+    return {
+      id: groupId,
+      type: groupBy,
+      label: getGroupLabel(groupId, groupBy),
+      openedCount: opened.length,
+      closedCount: closed.length,
+      // Issues opened in this period that are still open today
+      stillOpenCount: opened.filter(issue => issue.state === 'open').length,
+      repos: repos,
+      repoCount: repos.length,
+      issues: groupIssues
+    };
+  });
+  
+  const response = {
+    groups: formattedGroups,
+    totalOpened: formattedGroups.reduce((sum, group) => sum + group.openedCount, 0),
+    totalClosed: formattedGroups.reduce((sum, group) => sum + group.closedCount, 0),
+    totalGroups: formattedGroups.length,
+    dateRange: {
+      from: effectiveSince,
+      to: effectiveUntil
+    },
+    filters: {
+      groupBy,
+      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
+      sortOrder,
+      search: searchTerm
+    }
+  };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: effectiveSince,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * API endpoint: GET /api/releases
+ * Returns releases and tags grouped by day/week/month/year, each with the
+ * categorized changelog of commits since the previous tag
+ * Query params:
+ *   - groupBy: 'day', 'week', 'month', 'year' (default: 'week')
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - from: Start date (YYYY-MM-DD)
+ *   - to: End date (YYYY-MM-DD)
+ *   - sortOrder: 'asc', 'desc' (default: 'desc')
+ *   - tz: IANA time zone that dates and groups are local to (default: repos.json timeZone, then UTC)
+ */
+async function handleGetReleases(request, env) {
+  const url = new URL(request.url);
+  const groupBy = url.searchParams.get('groupBy') || 'week';
+  const repoFilter = url.searchParams.get('repo');
+  const since = url.searchParams.get('from');
+  const until = url.searchParams.get('to');
+  const sortOrder = url.searchParams.get('sortOrder') || 'desc';
+  const timeZone = url.searchParams.get('tz'); // IANA time zone dates are local to
+  const excludeBots = url.searchParams.get('excludeBots'); // 'true' or 'false', overrides the authors config
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Check cache first
+  const cacheKey = getCacheKey('releases', {
+    groupBy, repo: repoFilter, from: since, to: until, sortOrder, tz: getCacheTimeZone(env, timeZone), excludeBots
+  });
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify(cached), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Get repos config
+  const config = withExcludeBots(await getRepos(env), excludeBots);
+  const calendar = getCalendar(config, timeZone);
+  
+  // Filter repos if repoFilter is provided (releases are only read from GitHub)
+  const reposToFetch = onlyGitHubRepos(config, selectRepos(config, repoFilter));
+  
+  if (isGitHubTokenMissing(env, config, reposToFetch)) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const tokens = resolveRepoTokens(env, config, reposToFetch);
+  const report = createFetchReport();
+  const budget = { remaining: MAX_RELEASE_FETCHES };
+  const results = await mapWithConcurrency(reposToFetch, REPO_FETCH_CONCURRENCY, repo =>
+    getRepoReleases(env, config, repo, tokens[repo], since, until, calendar, report, budget).catch(error => {
+      console.error(`Error fetching releases from ${repo}:`, error);
+      recordFetchFailure(report, repo, error);
+      // Return empty array on error so other repos still work
+      return [];
+    })
+  );
+  const releases = results.flat().sort((a, b) => {
+    const comparison = new Date(a.date) - new Date(b.date);
+    return sortOrder === 'desc' ? -comparison : comparison;
+  });
+  
+  // Group releases
+  const groups = groupByPeriod(releases, groupBy, release => release.date, calendar);
+  
+  const groupKeys = Object.keys(groups).sort();
+  if (sortOrder === 'desc') {
+    groupKeys.reverse();
+  }
+  
+  const formattedGroups = groupKeys.map(groupId => {
+    const groupReleases = groups[groupId];
+    const repos = [...new Set(groupReleases.map(r => r.repo))];
+    
+    return {
+      id: groupId,
+      type: groupBy,
+      label: getGroupLabel(groupId, groupBy),
+      releaseCount: groupReleases.length,
+      repos: repos,
+      repoCount: repos.length,
+      releases: groupReleases
+    };
+  });
+  
+  const response = {
+    groups: formattedGroups,
+    totalReleases: releases.length,
+    totalGroups: formattedGroups.length,
+    dateRange: {
+      from: since,
+      to: until
+    },
+    filters: {
+      groupBy,
+      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
+      sortOrder
+    }
+  };
+  
+  // Cache the response (briefly if some repos could not be fetched)
+  const ttl = applyFetchReport(response, report);
+  await setCachedData(env, cacheKey, response, ttl, {
+    repos: reposToFetch,
+    from: since,
+    to: until
+  });
+  
+  return new Response(JSON.stringify(response), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Debug endpoint to test GitHub API connection
+ */
+async function handleDebug(request, env) {
+  const results = {
+    tokenExists: !!env.GITHUB_TOKEN,
+    tokenLength: env.GITHUB_TOKEN ? env.GITHUB_TOKEN.length : 0,
+    tokenPrefix: env.GITHUB_TOKEN ? env.GITHUB_TOKEN.substring(0, 4) + '...' : 'none',
+    kvExists: !!env.EOYR_CACHE,
+    reposConfigExists: !!env.REPOS_CONFIG,
+    githubApiTest: null,
+    error: null
+  };
+  
+  // Test GitHub API with a simple request
+  if (env.GITHUB_TOKEN) {
+    try {
+      const config = await getRepos(env);
+      const testRepo = config.repos[0]?.fullName || `${config.organization}/core_render_portal`;
+      const testUrl = `https://api.github.com/repos/${testRepo}/commits?per_page=1`;
+      
+      const response = await githubGet(testUrl, env.GITHUB_TOKEN);
+      
+      results.githubApiTest = {
+        status: response.status,
+        statusText: response.statusText,
+        rateLimit: response.headers.get('X-RateLimit-Remaining'),
+        rateLimitReset: response.headers.get('X-RateLimit-Reset')
+      };
+      
+      if (!response.ok) {
+        const errorBody = await response.text();
+        results.githubApiTest.errorBody = errorBody.substring(0, 500);
+      } else {
+        const commits = await response.json();
+        results.githubApiTest.commitCount = commits.length;
+        if (commits.length > 0) {
+          results.githubApiTest.latestCommitDate = commits[0].commit?.author?.date;
+          results.githubApiTest.latestCommitMessage = commits[0].commit?.message?.substring(0, 100);
+        }
+      }
+    } catch (error) {
+      results.error = error.message;
+      if (error.rateLimited) {
+        results.retryAfter = error.retryAfter;
+      }
+    }
+  }
+  
+  return new Response(JSON.stringify(results, null, 2), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Part 8: Webhook Handler for Cache Invalidation
+ */
+
+/**
+ * Validates GitHub webhook signature
+ * @param {string} payload - Request body
+ * @param {string} signature - X-Hub-Signature-256 header value
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if signature is valid
+ */
+async function validateWebhookSignature(payload, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+  
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  
+  const signatureBuffer = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    encoder.encode(payload)
+  );
+  
+  const expectedSignature = 'sha256=' + Array.from(new Uint8Array(signatureBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+  
+  return signature === expectedSignature;
+}
+
+/**
+ * Gets the date range (YYYY-MM-DD) covered by the commits in a push event
+ * Cached entries are windows of local dates in whatever time zone they were
+ * requested in, so the UTC dates are widened by a day each side to cover them all
+ * @param {Object} event - Push event payload
+ * @returns {Object|null} Object with from and to dates, or null if no commits
+ */
+function getPushDateRange(event) {
+  const commits = event.commits || [];
+  const dates = commits
+    .map(commit => commit.timestamp)
+    .filter(Boolean)
+    .map(timestamp => formatDate(new Date(timestamp)))
+    .sort();
+  
+  if (dates.length === 0) {
+    return null;
+  }
+  
+  return {
+    from: shiftDateId(dates[0], -1),
+    to: shiftDateId(dates[dates.length - 1], 1)
+  };
+}
+
+/**
+ * Handles GitHub webhook POST requests
+ * Invalidates cached responses that cover the pushed repo and commit dates
+ */
+async function handleWebhook(request, env) {
+  const signature = request.headers.get('X-Hub-Signature-256');
+  const secret = env.WEBHOOK_SECRET;
+  
+  const payload = await request.text();
+  
+  // Validate signature
+  if (!await validateWebhookSignature(payload, signature, secret)) {
+    return new Response('Invalid signature', { status: 401 });
+  }
+  
+  const event = JSON.parse(payload);
+  const eventType = request.headers.get('X-GitHub-Event');
+  
+  // Repos created, renamed, archived or retagged change what discovery finds
+  if (eventType === 'repository') {
+    const org = event.organization?.login || event.repository?.owner?.login;
+    if (org && env.EOYR_CACHE) {
+      await env.EOYR_CACHE.delete(getOrgReposKey(org));
+    }
+    return new Response(JSON.stringify({
+      message: 'Repo list invalidated',
+      org: org || null,
+      action: event.action || null
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Only handle push events
+  if (eventType === 'push' || (!eventType && event.ref)) {
+    const repo = event.repository?.full_name;
+    if (!repo) {
+      return new Response('Event ignored', { status: 200 });
+    }
+    
+    // Fall back to the push time when the payload carries no commits (e.g. tag pushes)
+    const pushedAt = event.head_commit?.timestamp || new Date().toISOString();
+    const dateRange = getPushDateRange(event) || {
+      from: formatDate(new Date(pushedAt)),
+      to: formatDate(new Date(pushedAt))
+    };
+    
+    // Branch stores are keyed by name, so a push to the default branch marks
+    // both the default store and any store configured under its name
+    const branch = event.ref?.startsWith('refs/heads/') ? event.ref.slice('refs/heads/'.length) : null;
+    
+    try {
+      if (!branch || branch === event.repository.default_branch) {
+        await markStoreStale(env, repo);
+      }
+      if (branch) {
+        await markStoreStale(env, repo, branch);
+      }
+      const purged = await invalidateCache(env, repo, dateRange.from, dateRange.to);
+      return new Response(JSON.stringify({
+        message: 'Cache invalidated',
+        repo: repo,
+        branch: branch,
+        dateRange: dateRange,
+        purged: purged,
+        purgedCount: purged.length
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Error invalidating cache:', error);
+      return new Response('Error invalidating cache', { status: 500 });
+    }
+  }
+  
+  return new Response('Event ignored', { status: 200 });
+}
+
+/**
+ * Part 9: Authentication and Access Control
+ * Every /api/* and /feeds/* request needs either an API key (Authorization:
+ * Bearer <key>) or a session cookie obtained by exchanging a key at
+ * POST /api/auth/session. Both are HMAC-signed with AUTH_SECRET and carry the
+ * repos they may read, so no key store is needed; keys are minted with the
+ * separate ADMIN_TOKEN and revoked by listing their id in REVOKED_KEY_IDS.
+ * Without AUTH_SECRET those routes are refused, unless PUBLIC_ACCESS is "true".
+ */
+
+/**
+ * Encodes bytes as URL-safe base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string without padding
+ */
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Encodes a string as URL-safe base64
+ * @param {string} value - String to encode (UTF-8)
+ * @returns {string} base64url string without padding
+ */
+function base64UrlEncode(value) {
+  return bytesToBase64Url(new TextEncoder().encode(value));
+}
+
+/**
+ * Decodes a URL-safe base64 string
+ * @param {string} value - base64url string
+ * @returns {string} Decoded string (UTF-8)
+ */
+function base64UrlDecode(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Signs a message with HMAC-SHA256
+ * @param {string} secret - Signing secret
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} base64url signature
+ */
+async function hmacSign(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return bytesToBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * Creates a signed token (API key or session)
+ * The type is part of the signed content, so a key can't be replayed as a cookie or vice versa
+ * @param {string} secret - AUTH_SECRET
+ * @param {string} type - 'key' or 'session'
+ * @param {Object} payload - Claims ({ id, repos, exp })
+ * @returns {Promise<string>} Token ("<payload>.<signature>")
+ */
+async function signToken(secret, type, payload) {
+  const body = base64UrlEncode(JSON.stringify(payload));
+  return `${body}.${await hmacSign(secret, `${type}.${body}`)}`;
+}
+
+/**
+ * Verifies a signed token and returns its claims
+ * @param {Object} env - Worker environment (AUTH_SECRET, REVOKED_KEY_IDS)
+ * @param {string} type - Expected type ('key' or 'session')
+ * @param {string} token - Token to verify
+ * @returns {Promise<Object|null>} Claims, or null if invalid, expired or revoked
+ */
+async function verifyToken(env, type, token) {
+  const [body, signature, extra] = (token || '').split('.');
+  if (!body || !signature || extra !== undefined) return null;
+  
+  if (!timingSafeEqual(signature, await hmacSign(env.AUTH_SECRET, `${type}.${body}`))) {
+    return null;
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(base64UrlDecode(body));
+  } catch (error) {
+    return null;
+  }
+  
+  if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+  
+  const revoked = (env.REVOKED_KEY_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (revoked.includes(claims.id)) return null;
+  
+  return claims;
+}
+
+/**
+ * Reads a cookie from a request
+ * @param {Request} request - Incoming request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getCookie(request, name) {
+  const cookies = (request.headers.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+/**
+ * Identifies the caller of an API request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object|null>} Principal ({ id, repos, exp, via }) or null when unauthenticated
+ */
+async function authenticateRequest(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    const claims = await verifyToken(env, 'key', authorization.slice('Bearer '.length).trim());
+    return claims ? { ...claims, via: 'key' } : null;
+  }
+  
+  const session = getCookie(request, SESSION_COOKIE);
+  if (session) {
+    const claims = await verifyToken(env, 'session', session);
+    return claims ? { ...claims, via: 'session' } : null;
+  }
+  
+  // Feed readers can only be given a URL, so feeds also take the key as ?key=
+  const url = new URL(request.url);
+  if (url.pathname.startsWith('/feeds/') && url.searchParams.get('key')) {
+    const claims = await verifyToken(env, 'key', url.searchParams.get('key'));
+    return claims ? { ...claims, via: 'key' } : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Limits a request's repo parameter to the repos a principal may read
+ * @param {Request} request - Incoming request
+ * @param {Array<string>} allowedRepos - Repo references (owner/name or name) the principal may read
+ * @returns {Request|null} Request with the repo parameter narrowed, or null if none of the requested repos are allowed
+ */
+function scopeRequestToRepos(request, allowedRepos) {
+  const url = new URL(request.url);
+  const requested = url.searchParams.get('repo');
+  const repos = requested
+    ? requested.split(',').map(r => r.trim()).filter(repo => allowedRepos.some(ref => matchesRepoRef(repo, ref)))
+    : allowedRepos;
+  
+  if (repos.length === 0) return null;
+  
+  url.searchParams.set('repo', repos.join(','));
+  return new Request(url.toString(), request);
+}
+
+/**
+ * Gets the CORS headers for a request
+ * Only the worker's own origin and those in ALLOWED_ORIGINS are allowed, and
+ * they may send credentials (the session cookie). ALLOWED_ORIGINS "*" lets any
+ * origin read without credentials.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Object|null} Headers, or null if the origin is not allowed
+ */
+function getCorsHeaders(request, env) {
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  };
+  
+  const allowed = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (allowed.includes('*')) {
+    return { ...headers, 'Access-Control-Allow-Origin': '*' };
+  }
+  
+  const origin = request.headers.get('Origin');
+  if (origin && origin !== new URL(request.url).origin && !allowed.includes(origin)) {
+    return null;
+  }
+  
+  return {
+    ...headers,
+    ...(origin ? {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true'
+    } : {}),
+    'Vary': 'Origin'
+  };
+}
+
+/**
+ * Builds the Set-Cookie header value for the session cookie
+ * @param {string} value - Cookie value ('' to clear)
+ * @param {number} maxAge - Lifetime in seconds (0 to clear)
+ * @returns {string} Set-Cookie header value
+ */
+function getSessionCookieHeader(value, maxAge) {
+  // SameSite=None so the dashboard can call the worker from another site
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=None; Max-Age=${maxAge}`;
+}
+
+/**
+ * API endpoints under /api/auth
+ *   - POST /api/auth/keys: mint an API key; needs "Authorization: Bearer <ADMIN_TOKEN>"
+ *     and a JSON body { id, repos: [names] or '*', expiresInDays }
+ *   - POST /api/auth/session: exchange an API key (Bearer) for a session cookie
+ *   - GET /api/auth/session: the current key or session's id, repos and expiry
+ *   - DELETE /api/auth/session: clear the session cookie
+ */
+async function handleAuth(request, env, path) {
+  const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+  
+  if (!env.AUTH_SECRET) {
+    return json({ error: 'Authentication is not configured (set AUTH_SECRET)' }, 404);
+  }
+  
+  if (path === '/api/auth/keys' && request.method === 'POST') {
+    if (!env.ADMIN_TOKEN) {
+      return json({ error: 'Minting keys is not configured (set ADMIN_TOKEN)' }, 404);
+    }
+    
+    const authorization = request.headers.get('Authorization') || '';
+    if (!timingSafeEqual(authorization, `Bearer ${env.ADMIN_TOKEN}`)) {
+      return json({ error: 'Unauthorized' }, 401);
+    }
+    
+    const body = await request.json().catch(() => ({}));
+    const repos = body.repos === '*' || Array.isArray(body.repos) ? body.repos : null;
+    if (!body.id || !repos) {
+      return json({ error: "Body must include id and repos (array of owner/name repo keys or '*')" }, 400);
+    }
+    if (body.expiresInDays != null && !(typeof body.expiresInDays === 'number' && Number.isFinite(body.expiresInDays) && body.expiresInDays > 0)) {
+      return json({ error: 'expiresInDays must be a positive number of days' }, 400);
+    }
+    
+    const claims = {
+      id: String(body.id),
+      repos: repos,
+      ...(body.expiresInDays != null ? { exp: Math.floor(Date.now() / 1000) + body.expiresInDays * 86400 } : {})
+    };
+    return json({ key: await signToken(env.AUTH_SECRET, 'key', claims), ...claims });
+  }
+  
+  if (path === '/api/auth/session') {
+    if (request.method === 'DELETE') {
+      return json({ message: 'Signed out' }, 200, { 'Set-Cookie': getSessionCookieHeader('', 0) });
+    }
+    
+    const principal = await authenticateRequest(request, env);
+    if (!principal) {
+      return json({ error: 'Unauthorized' }, 401);
+    }
+    
+    if (request.method === 'POST') {
+      if (principal.via !== 'key') {
+        return json({ error: 'Sign in with an API key' }, 400);
+      }
+      
+      // The session never outlives the key it came from
+      const now = Math.floor(Date.now() / 1000);
+      const exp = principal.exp ? Math.min(principal.exp, now + SESSION_TTL) : now + SESSION_TTL;
+      const claims = { id: principal.id, repos: principal.repos, exp: exp };
+      const session = await signToken(env.AUTH_SECRET, 'session', claims);
+      return json(claims, 200, { 'Set-Cookie': getSessionCookieHeader(session, exp - now) });
+    }
+    
+    if (request.method === 'GET') {
+      return json({ id: principal.id, repos: principal.repos, exp: principal.exp || null, via: principal.via });
+    }
+  }
+  
+  return new Response('Not Found', { status: 404 });
+}
+
+/**
+ * Part 10: Scheduled Cache Pre-warming
+ * A cron trigger rebuilds the /api/commits responses the dashboard asks for
+ * by default, so visitors don't wait on GitHub after an entry expires.
+ */
+
+/**
+ * Gets the date range of a dashboard preset (mirrors getDateRangeForPreset in eoyr-filters.js)
+ * Dates are local to the calendar's time zone, so keys match browsers in that zone
+ * @param {string} preset - Preset name (thisWeek, lastWeek, lastMonth, last3Months, yearToDate)
+ * @param {Date} now - Reference date
+ * @param {Object} calendar - Time zone and week start (see getCalendar)
+ * @returns {Object} Object with from and to dates (YYYY-MM-DD)
+ */
+function getPresetDateRange(preset, now = new Date(), calendar = DEFAULT_CALENDAR) {
+  // Today's local date, held as UTC midnight so the UTC date methods below read it unchanged
+  const today = new Date(`${getLocalDateId(now, calendar.timeZone)}T00:00:00Z`);
+  
+  let from, to;
+  
+  switch (preset) {
+    case 'thisWeek':
+      from = getWeekStart(today, calendar.weekStartDay);
+      to = new Date(from);
+      to.setUTCDate(to.getUTCDate() + 6);
+      break;
+      
+    case 'lastWeek':
+      from = getWeekStart(today, calendar.weekStartDay);
+      from.setUTCDate(from.getUTCDate() - 7);
+      to = new Date(from);
+      to.setUTCDate(to.getUTCDate() + 6);
+      break;
+      
+    case 'lastMonth':
+      to = new Date(today);
+      from = new Date(today);
+      from.setUTCMonth(from.getUTCMonth() - 1);
+      break;
+      
+    case 'last3Months':
+      to = new Date(today);
+      from = new Date(today);
+      from.setUTCMonth(from.getUTCMonth() - 3);
+      break;
+      
+    case 'yearToDate':
+      from = new Date(Date.UTC(today.getUTCFullYear(), 0, 1));
+      to = new Date(today);
+      break;
+      
+    default:
+      return null;
+  }
+  
+  return { from: formatDate(from), to: formatDate(to) };
+}
+
+/**
+ * Picks the preset a pre-warm run refreshes: the one after the last run's
+ * @param {Object|null} lastReport - Report of the last run (see handleScheduled)
+ * @returns {string} Preset name from PREWARM_PRESETS
+ */
+function getNextPrewarmPreset(lastReport) {
+  const lastIndex = PREWARM_PRESETS.indexOf(lastReport?.preset);
+  return PREWARM_PRESETS[(lastIndex + 1) % PREWARM_PRESETS.length];
+}
+
+/**
+ * Refreshes the cached /api/commits responses of one preset, in every grouping
+ * Presets take turns across runs so each run only reads one date range from
+ * GitHub. Groupings run one at a time so later ones reuse the commit store
+ * synced by the first. After a rate limit the remaining groupings are skipped.
+ * @param {Object} event - Scheduled event (cron, scheduledTime)
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Run report (also stored under PREWARM_STATUS_KEY)
+ */
+async function handleScheduled(event, env) {
+  const startedAt = Date.now();
+  const now = new Date(event.scheduledTime || startedAt);
+  const refreshEnv = { ...env, CACHE_REFRESH: true };
+  const entries = [];
+  let rateLimited = false;
+  
+  const lastReport = env.EOYR_CACHE ? await env.EOYR_CACHE.get(PREWARM_STATUS_KEY, 'json') : null;
+  const preset = getNextPrewarmPreset(lastReport);
+  
+  // Browsers send their own time zone, so only those in the configured one share these entries
+  const calendar = getCalendar(await getRepos(env));
+  const range = getPresetDateRange(preset, now, calendar);
+  
+  for (const groupBy of PREWARM_GROUP_BYS) {
+    const entry = { preset, groupBy, from: range.from, to: range.to };
+    entries.push(entry);
+    
+    if (rateLimited) {
+      entry.status = 'skipped';
+      continue;
+    }
+    
+    // Same parameters fetchCommits sends for a preset with the default sort and no other filters
+    const url = new URL('https://prewarm.invalid/api/commits');
+    url.searchParams.set('groupBy', groupBy);
+    url.searchParams.set('from', range.from);
+    url.searchParams.set('to', range.to);
+    url.searchParams.set('sortBy', 'date');
+    url.searchParams.set('sortOrder', 'desc');
+    url.searchParams.set('tz', calendar.timeZone);
+    
+    const queryStart = Date.now();
+    try {
+      // Each query gets the time budget of a request of its own
+      const response = await runWithDeadline(REQUEST_DEADLINE, () =>
+        handleGetCommits(new Request(url.toString()), refreshEnv)
+      );
+      const data = await response.json();
+      
+      if (!response.ok) {
+        entry.status = 'failed';
+        entry.error = data.error || `HTTP ${response.status}`;
+      } else {
+        entry.status = data.complete === false ? 'incomplete' : 'refreshed';
+        entry.totalCommits = data.totalCommits;
+        if (data.failedRepos) entry.failedRepos = data.failedRepos;
+        rateLimited = !!data.rateLimited;
+      }
+    } catch (error) {
+      console.error(`Pre-warm of ${preset}/${groupBy} failed:`, error);
+      entry.status = 'failed';
+      entry.error = error.message;
+      rateLimited = !!error.rateLimited;
+    }
+    entry.durationMs = Date.now() - queryStart;
+  }
+  
+  const finishedAt = Date.now();
+  const report = {
+    cron: event.cron || null,
+    preset: preset,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    refreshed: entries.filter(entry => entry.status === 'refreshed').length,
+    incomplete: entries.filter(entry => entry.status === 'incomplete').length,
+    failed: entries.filter(entry => entry.status === 'failed').length,
+    skipped: entries.filter(entry => entry.status === 'skipped').length,
+    rateLimited: rateLimited,
+    entries: entries
+  };
+  
+  console.log(`Pre-warm finished in ${report.durationMs}ms: ${report.refreshed}/${entries.length} refreshed`);
+  
+  if (env.EOYR_CACHE) {
+    await env.EOYR_CACHE.put(PREWARM_STATUS_KEY, JSON.stringify(report));
+  }
+  
+  return report;
+}
+
+/**
+ * Handles GET /api/prewarm - report of the last scheduled pre-warm run
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Last run report, or 404 before the first run
+ */
+async function handleGetPrewarmStatus(env) {
+  const report = env.EOYR_CACHE ? await env.EOYR_CACHE.get(PREWARM_STATUS_KEY, 'json') : null;
+  
+  if (!report) {
+    return new Response(JSON.stringify({ error: 'No pre-warm run recorded yet' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  return new Response(JSON.stringify(report), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Part 11: Weekly Reports
+ * Turns the week detail into a finished status update. Output only depends on
+ * the week's commits (no generation time, stable ordering) so the same week
+ * always renders the same text.
+ */
+
+/**
+ * Section titles of the commit categories (same wording as the dashboard summary)
+ */
+const REPORT_CATEGORY_LABELS = {
+  features: '🚀 Features & Improvements',
+  fixes: '🔧 Bug Fixes',
+  docs: '📚 Documentation',
+  cleanup: '🗑️ Cleanup & Refactoring',
+  other: '📌 Other Changes'
+};
+
+/**
+ * Formats a YYYY-MM-DD date for report headings (e.g. "Oct 6, 2026")
+ * @param {string} day - Date string (YYYY-MM-DD)
+ * @returns {string} Readable date
+ */
+function formatReportDate(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Compares commits oldest first, by SHA on equal dates so order never depends on fetch order
+ * @param {Object} a - Week detail commit
+ * @param {Object} b - Week detail commit
+ * @returns {number} Sort order
+ */
+function compareReportCommits(a, b) {
+  return new Date(a.date) - new Date(b.date) || a.sha.localeCompare(b.sha);
+}
+
+/**
+ * Picks the commits worth calling out at the top of a report
+ * Merged pull requests come first (one entry per PR), then features, then fixes
+ * @param {Array<Object>} projects - Report projects with categorized commits
+ * @returns {Array<Object>} Notable entries ({ project, title, url, author, date, pullRequest })
+ */
+function pickNotableCommits(projects) {
+  const rank = { features: 1, fixes: 2 };
+  const seenPulls = new Set();
+  const candidates = [];
+  
+  projects.forEach(project => {
+    Object.entries(project.categories).forEach(([category, commits]) => {
+      commits.forEach(commit => {
+        const pull = commit.pullRequest;
+        if (pull) {
+          const pullKey = `${project.name}#${pull.number}`;
+          if (seenPulls.has(pullKey)) return;
+          seenPulls.add(pullKey);
+        } else if (!rank[category]) {
+          return;
+        }
+        
+        candidates.push({
+          rank: pull ? 0 : rank[category],
+          project: project.displayName,
+          title: pull ? pull.title : commit.message.split('\n')[0],
+          url: pull ? pull.url : commit.url,
+          author: commit.author,
+          date: commit.date,
+          sha: commit.sha,
+          pullRequest: pull ? pull.number : null
+        });
+      });
+    });
+  });
+  
+  return candidates
+    .sort((a, b) => a.rank - b.rank || compareReportCommits(a, b))
+    .slice(0, REPORT_NOTABLE_LIMIT)
+    .map(({ rank, sha, ...entry }) => entry);
+}
+
+/**
+ * Builds the weekly report model from a week detail
+ * @param {Object} detail - Week detail from getWeekDetail
+ * @param {Object} config - Repos config (for display names)
+ * @returns {Object} Report with headline totals, per-project sections and notable commits
+ */
+function buildWeeklyReport(detail, config) {
+  const displayNames = new Map(config.repos.map(repo => [repo.fullName, repo.displayName || repo.name]));
+  
+  const projects = Object.entries(detail.repos)
+    .map(([name, commits]) => {
+      const sorted = [...commits].sort(compareReportCommits);
+      const pulls = new Set(sorted.filter(commit => commit.pullRequest).map(commit => commit.pullRequest.number));
+      return {
+        name: name,
+        displayName: displayNames.get(name) || name,
+        commitCount: sorted.length,
+        contributors: [...new Set(sorted.map(commit => commit.author))].sort(),
+        pullRequestCount: pulls.size,
+        categories: categorizeCommits(sorted)
+      };
+    })
+    .sort((a, b) => b.commitCount - a.commitCount || a.displayName.localeCompare(b.displayName));
+  
+  const categoryTotals = Object.fromEntries(Object.keys(REPORT_CATEGORY_LABELS).map(category => [
+    category,
+    projects.reduce((sum, project) => sum + project.categories[category].length, 0)
+  ]));
+  
+  return {
+    weekId: detail.weekId,
+    startDate: detail.startDate,
+    endDate: detail.endDate,
+    title: `Weekly Report: ${formatReportDate(detail.startDate)} – ${formatReportDate(detail.endDate)}`,
+    totals: {
+      commits: projects.reduce((sum, project) => sum + project.commitCount, 0),
+      projects: projects.length,
+      contributors: new Set(projects.flatMap(project => project.contributors)).size,
+      pullRequests: projects.reduce((sum, project) => sum + project.pullRequestCount, 0),
+      categories: categoryTotals
+    },
+    notable: pickNotableCommits(projects),
+    projects: projects,
+    failedRepos: detail.complete === false
+      ? (detail.failedRepos || []).map(repo => displayNames.get(repo) || repo)
+      : []
+  };
+}
+
+/**
+ * Escapes characters that Markdown would treat as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Markdown-safe text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds the headline sentence of a report
+ * @param {Object} totals - Report totals
+ * @param {Function} strong - Wraps a number for emphasis in the output format
+ * @returns {string} Headline
+ */
+function formatReportHeadline(totals, strong) {
+  const plural = (count, word) => `${strong(count)} ${word}${count === 1 ? '' : 's'}`;
+  let headline = `${plural(totals.commits, 'commit')} across ${plural(totals.projects, 'project')} by ${plural(totals.contributors, 'contributor')}`;
+  if (totals.pullRequests > 0) {
+    headline += `, ${plural(totals.pullRequests, 'pull request')} merged`;
+  }
+  return `${headline}.`;
+}
+
+/**
+ * Renders a weekly report as Markdown
+ * @param {Object} report - Report from buildWeeklyReport
+ * @returns {string} Markdown document
+ */
+function renderWeeklyReportMarkdown(report) {
+  const lines = [`# ${report.title}`, ''];
+  
+  if (report.totals.commits === 0) {
+    lines.push('No commits this week.', '');
+    return lines.join('\n');
+  }
+  
+  lines.push(formatReportHeadline(report.totals, count => `**${count}**`), '');
+  
+  const categories = Object.keys(REPORT_CATEGORY_LABELS);
+  lines.push(`| ${categories.map(category => REPORT_CATEGORY_LABELS[category]).join(' | ')} |`);
+  lines.push(`| ${categories.map(() => '---:').join(' | ')} |`);
+  lines.push(`| ${categories.map(category => report.totals.categories[category]).join(' | ')} |`, '');
+  
+  if (report.failedRepos.length > 0) {
+    lines.push(`> Could not load ${report.failedRepos.map(escapeMarkdown).join(', ')}; numbers for them are missing.`, '');
+  }
+  
+  if (report.notable.length > 0) {
+    lines.push('## Highlights', '');
+    report.notable.forEach(entry => {
+      const link = entry.pullRequest ? `#${entry.pullRequest}` : 'commit';
+      lines.push(`- **${escapeMarkdown(entry.project)}**: ${escapeMarkdown(entry.title)} ([${link}](${entry.url})) – ${escapeMarkdown(entry.author)}`);
+    });
+    lines.push('');
+  }
+  
+  report.projects.forEach(project => {
+    lines.push(`## ${escapeMarkdown(project.displayName)}`, '');
+    lines.push(`${project.commitCount} commit${project.commitCount === 1 ? '' : 's'} by ${project.contributors.map(escapeMarkdown).join(', ')}`, '');
+    
+    categories.forEach(category => {
+      const commits = project.categories[category];
+      if (commits.length === 0) return;
+      
+      lines.push(`### ${REPORT_CATEGORY_LABELS[category]} (${commits.length})`, '');
+      commits.forEach(commit => {
+        lines.push(`- ${escapeMarkdown(commit.message.split('\n')[0])} ([${commit.sha.substring(0, 7)}](${commit.url}))`);
+      });
+      lines.push('');
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Renders a weekly report as a standalone HTML document (inline styles only, so it survives email clients)
+ * @param {Object} report - Report from buildWeeklyReport
+ * @returns {string} HTML document
+ */
+function renderWeeklyReportHtml(report) {
+  const categories = Object.keys(REPORT_CATEGORY_LABELS);
+  const cell = 'padding: 4px 12px; border: 1px solid #ddd; text-align: center;';
+  let body = `<h1>${escapeHtml(report.title)}</h1>\n`;
+  
+  if (report.totals.commits === 0) {
+    body += '<p>No commits this week.</p>\n';
+  } else {
+    body += `<p>${formatReportHeadline(report.totals, count => `<strong>${count}</strong>`)}</p>\n`;
+    
+    body += '<table style="border-collapse: collapse;">\n';
+    body += `<tr>${categories.map(category => `<th style="${cell}">${escapeHtml(REPORT_CATEGORY_LABELS[category])}</th>`).join('')}</tr>\n`;
+    body += `<tr>${categories.map(category => `<td style="${cell}">${report.totals.categories[category]}</td>`).join('')}</tr>\n`;
+    body += '</table>\n';
+    
+    if (report.failedRepos.length > 0) {
+      body += `<p><em>Could not load ${escapeHtml(report.failedRepos.join(', '))}; numbers for them are missing.</em></p>\n`;
+    }
+    
+    if (report.notable.length > 0) {
+      body += '<h2>Highlights</h2>\n<ul>\n';
+      report.notable.forEach(entry => {
+        const link = entry.pullRequest ? `#${entry.pullRequest}` : 'commit';
+        body += `<li><strong>${escapeHtml(entry.project)}</strong>: ${escapeHtml(entry.title)} (<a href="${escapeHtml(entry.url)}">${link}</a>) – ${escapeHtml(entry.author)}</li>\n`;
+      });
+      body += '</ul>\n';
+    }
+    
+    report.projects.forEach(project => {
+      body += `<h2>${escapeHtml(project.displayName)}</h2>\n`;
+      body += `<p>${project.commitCount} commit${project.commitCount === 1 ? '' : 's'} by ${escapeHtml(project.contributors.join(', '))}</p>\n`;
+      
+      categories.forEach(category => {
+        const commits = project.categories[category];
+        if (commits.length === 0) return;
+        
+        body += `<h3>${escapeHtml(REPORT_CATEGORY_LABELS[category])} (${commits.length})</h3>\n<ul>\n`;
+        commits.forEach(commit => {
+          body += `<li>${escapeHtml(commit.message.split('\n')[0])} (<a href="${escapeHtml(commit.url)}">${commit.sha.substring(0, 7)}</a>)</li>\n`;
+        });
+        body += '</ul>\n';
+      });
+    });
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+</head>
+<body style="font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; line-height: 1.5; color: #222; max-width: 760px;">
+${body}</body>
+</html>
+`;
+}
+
+/**
+ * API endpoint: GET /api/reports/weekly
+ * Returns a finished status report for one week
+ * Query params:
+ *   - week: Any date in the week (YYYY-MM-DD, default: last week)
+ *   - format: 'md' or 'html' (default: 'md')
+ */
+async function handleGetWeeklyReport(request, env) {
+  const url = new URL(request.url);
+  const weekParam = url.searchParams.get('week');
+  const format = url.searchParams.get('format') || 'md';
+  
+  if (!['md', 'html'].includes(format) ||
+      (weekParam && (!/^\d{4}-\d{2}-\d{2}$/.test(weekParam) || isNaN(new Date(weekParam))))) {
+    return new Response(JSON.stringify({ error: 'Invalid parameters: week must be YYYY-MM-DD and format md or html' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const config = await getRepos(env);
+  const calendar = getCalendar(config);
+  
+  // Default to the last full week, the one a status update at the start of a week covers
+  const lastWeek = shiftDateId(getLocalDateId(new Date(), calendar.timeZone), -7);
+  const weekId = getWeekIdOfDay(weekParam || lastWeek, calendar.weekStartDay);
+  
+  if (isGitHubTokenMissing(env, config, selectRepos(config))) {
+    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const detail = await getWeekDetail(env, config, weekId, calendar);
+  const report = buildWeeklyReport(detail, config);
+  
+  if (format === 'html') {
+    return new Response(renderWeeklyReportHtml(report), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+  
+  return new Response(renderWeeklyReportMarkdown(report), {
+    headers: { 'Content-Type': 'text/markdown; charset=utf-8' }
+  });
+}
+
+/**
+ * Part 12: Atom and iCalendar Feeds
+ * /feeds/_all.atom and /feeds/{repo}.atom list recent commits with one entry per
+ * repo per day; /feeds/activity.ics has one all-day event per repo per day or
+ * week. Rendered feeds are cached with their ETag, so unchanged feeds answer
+ * conditional requests with 304 without touching GitHub.
+ */
+
+/**
+ * Hashes text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Builds the HTML content of a feed entry: every commit with its full message
+ * @param {Array} commits - Formatted commits of one repo on one day, newest first
+ * @returns {string} HTML fragment
+ */
+function renderFeedEntryContent(commits) {
+  return commits.map(commit => {
+    const [firstLine, ...rest] = commit.message.split('\n');
+    const body = rest.join('\n').trim();
+    return `<p><a href="${escapeHtml(commit.url)}">${commit.shortSha}</a> <strong>${escapeHtml(firstLine)}</strong> – ${escapeHtml(commit.author)}</p>` +
+      (body ? `<pre>${escapeHtml(body)}</pre>` : '');
+  }).join('\n');
+}
+
+/**
+ * Renders commits as an Atom feed with one entry per repo per day
+ * Text is escaped with escapeHtml, which covers XML as well
+ * @param {Object} feed - Feed metadata
+ * @param {string} feed.id - Feed id (its canonical URL)
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.author - Feed-level author name
+ * @param {string} feed.origin - Worker origin, for entry ids
+ * @param {Array} commits - Raw commit objects
+ * @param {Object} config - Repos config (display names, organization)
+ * @param {Object} calendar - Time zone entries' days are local to (see getCalendar)
+ * @returns {Object} Object with xml and updated (ISO timestamp of the newest commit, null when empty)
+ */
+function renderAtomFeed(feed, commits, config, calendar = DEFAULT_CALENDAR) {
+  const displayNames = new Map(config.repos.map(repo => [repo.fullName, repo.displayName || repo.name]));
+  const byDay = groupByPeriod(commits, 'day', getCommitDate, calendar);
+  const entries = [];
+  
+  Object.keys(byDay).sort().reverse().forEach(day => {
+    const byRepo = {};
+    byDay[day].forEach(commit => {
+      (byRepo[commit.repo] = byRepo[commit.repo] || []).push(formatCommit(commit));
+    });
+    
+    Object.keys(byRepo).sort().forEach(repo => {
+      const repoCommits = byRepo[repo].sort((a, b) => new Date(b.date) - new Date(a.date) || a.sha.localeCompare(b.sha));
+      const displayName = displayNames.get(repo) || repo;
+      const count = repoCommits.length;
+      entries.push({
+        id: `${feed.origin}${getFeedPath(repo)}#${day}`,
+        title: `${displayName}: ${count} commit${count === 1 ? '' : 's'} on ${formatReportDate(day)}`,
+        updated: new Date(repoCommits[0].date).toISOString(),
+        link: getSourceProvider(getRepoProvider(config, repo)).commitsPageUrl(repo, day),
+        authors: [...new Set(repoCommits.map(commit => commit.author))].sort(),
+        content: renderFeedEntryContent(repoCommits)
+      });
+    });
+  });
+  
+  const updated = entries.reduce((latest, entry) => (!latest || entry.updated > latest ? entry.updated : latest), null);
+  
+  let xml = '<?xml version="1.0" encoding="utf-8"?>\n';
+  xml += '<feed xmlns="http://www.w3.org/2005/Atom">\n';
+  xml += `  <id>${escapeHtml(feed.id)}</id>\n`;
+  xml += `  <title>${escapeHtml(feed.title)}</title>\n`;
+  // An empty feed still needs an updated date; the epoch keeps it stable until the first commit
+  xml += `  <updated>${updated || new Date(0).toISOString()}</updated>\n`;
+  xml += `  <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.id)}"/>\n`;
+  xml += `  <author><name>${escapeHtml(feed.author)}</name></author>\n`;
+  entries.forEach(entry => {
+    xml += '  <entry>\n';
+    xml += `    <id>${escapeHtml(entry.id)}</id>\n`;
+    xml += `    <title>${escapeHtml(entry.title)}</title>\n`;
+    xml += `    <updated>${entry.updated}</updated>\n`;
+    xml += `    <link rel="alternate" type="text/html" href="${escapeHtml(entry.link)}"/>\n`;
+    entry.authors.forEach(author => {
+      xml += `    <author><name>${escapeHtml(author)}</name></author>\n`;
+    });
+    xml += `    <content type="html">${escapeHtml(entry.content)}</content>\n`;
+    xml += '  </entry>\n';
+  });
+  xml += '</feed>\n';
+  
+  return { xml, updated };
+}
+
+/**
+ * Serves a cached feed document, rendering it from recent commits when the cache is empty
+ * Sends ETag and Last-Modified, and answers If-None-Match / If-Modified-Since with 304
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} options - Feed options
+ * @param {Object} options.config - Repos config from getRepos
+ * @param {Array<string>} options.repos - Repository keys (owner/name) in the feed
+ * @param {Object} options.calendar - Time zone the days are local to (see getCalendar)
+ * @param {string} options.cacheKey - Cache key of the rendered feed
+ * @param {number} options.days - Days of commits to include, ending today
+ * @param {string} options.contentType - Content-Type of the document
+ * @param {Function} options.render - Turns raw commits into { body, updated }
+ * @returns {Promise<Response>} Feed document or 304
+ */
+async function serveFeed(request, env, { config, repos, calendar, cacheKey, days, contentType, render }) {
+  if (isGitHubTokenMissing(env, config, repos)) {
     return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
       status: 500,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   
-  // Fetch commits for this week
-  const commits = await fetchAllCommits(
-    config.repos.map(r => r.name),
-    config.organization,
-    token,
-    since,
-    until
-  );
+  let cached = await getCachedData(env, cacheKey);
   
-  // Filter to only commits in this week
-  const weekStartDate = new Date(weekStart);
-  weekStartDate.setHours(0, 0, 0, 0);
-  const weekEndDate = new Date(weekEnd);
-  weekEndDate.setHours(23, 59, 59, 999);
+  if (!cached) {
+    const until = getLocalDateId(new Date(), calendar.timeZone);
+    const since = shiftDateId(until, -(days - 1));
+    
+    const report = createFetchReport();
+    const commits = await fetchConfiguredCommits(env, config, repos, since, until, null, report, calendar);
+    const { body, updated } = render(commits);
+    
+    cached = { body, updated, etag: `"${(await sha256Hex(body)).substring(0, 32)}"` };
+    
+    // Cache the feed (briefly if some repos could not be fetched); it runs up to
+    // today, so it is open-ended for invalidation
+    const ttl = applyFetchReport({}, report);
+    await setCachedData(env, cacheKey, cached, ttl, { repos, from: since, to: null });
+  }
   
-  const weekCommits = commits.filter(commit => {
-    const commitDate = new Date(commit.commit.author.date);
-    return commitDate >= weekStartDate && commitDate <= weekEndDate;
-  });
+  const headers = {
+    'Content-Type': contentType,
+    'ETag': cached.etag,
+    'Cache-Control': 'private, max-age=300'
+  };
+  if (cached.updated) {
+    headers['Last-Modified'] = new Date(cached.updated).toUTCString();
+  }
   
-  // Group by repo
-  const commitsByRepo = {};
-  weekCommits.forEach(commit => {
-    if (!commitsByRepo[commit.repo]) {
-      commitsByRepo[commit.repo] = [];
-    }
-    commitsByRepo[commit.repo].push({
-      sha: commit.sha,
-      message: commit.commit.message,
-      author: commit.commit.author.name,
-      date: commit.commit.author.date,
-      url: commit.html_url
+  // Conditional requests: ETag takes precedence over the date, as in RFC 9110
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === cached.etag || tag === '*')
+    : !!(ifModifiedSince && cached.updated && new Date(cached.updated) <= new Date(ifModifiedSince));
+  
+  if (notModified) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  return new Response(cached.body, { headers });
+}
+
+/**
+ * Name of the org-wide Atom feed
+ * Repo feeds are owner/name, so a repo can't take it (even one named "_all")
+ */
+const ALL_REPOS_FEED = '_all';
+
+/**
+ * Gets the path of a feed
+ * @param {string} feedName - ALL_REPOS_FEED or a repository key (owner/name)
+ * @returns {string} Path (/feeds/_all.atom or /feeds/{owner}/{name}.atom)
+ */
+function getFeedPath(feedName) {
+  return `/feeds/${feedName.split('/').map(encodeURIComponent).join('/')}.atom`;
+}
+
+/**
+ * Route: GET /feeds/_all.atom and /feeds/{owner}/{repo}.atom
+ * Returns an Atom feed of the last FEED_DAYS days of commits
+ * /feeds/{repo}.atom still works for a plain repo name, and /feeds/all.atom for
+ * the org-wide feed unless a repo is named "all"
+ * Query params:
+ *   - tz: IANA time zone that entries' days are local to (default: repos.json timeZone, then UTC)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {string} feedName - ALL_REPOS_FEED or a repo reference (owner/name or name)
+ * @returns {Promise<Response>} Atom XML, 304, 400 for an unknown time zone, or 404 for unknown repos
+ */
+async function handleGetFeed(request, env, feedName) {
+  const url = new URL(request.url);
+  const timeZone = url.searchParams.get('tz');
+  
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
     });
+  }
+  
+  const config = await getRepos(env);
+  const repoConfig = feedName === ALL_REPOS_FEED ? null : config.repos.find(repo => matchesRepoRef(repo.fullName, feedName));
+  
+  if (!repoConfig && feedName !== ALL_REPOS_FEED && feedName !== 'all') {
+    return new Response('Feed not found', { status: 404 });
+  }
+  
+  // Scoped API keys see fewer repos in the org-wide feed, so they get their own entry
+  const canonicalName = repoConfig ? repoConfig.fullName : ALL_REPOS_FEED;
+  const calendar = getCalendar(config, timeZone);
+  return serveFeed(request, env, {
+    config,
+    repos: repoConfig ? [repoConfig.fullName] : selectRepos(config),
+    calendar,
+    cacheKey: getCacheKey(`feed-${canonicalName}`, {
+      tz: calendar.timeZone,
+      ...(env.AUTH_REPOS ? { repo: env.AUTH_REPOS.join(',') } : {})
+    }),
+    days: FEED_DAYS,
+    contentType: 'application/atom+xml; charset=utf-8',
+    render: commits => {
+      const { xml, updated } = renderAtomFeed({
+        id: `${url.origin}${getFeedPath(canonicalName)}`,
+        title: repoConfig ? `${repoConfig.displayName || repoConfig.name} commits` : `${config.organization} commits`,
+        author: config.organization,
+        origin: url.origin
+      }, commits, config, calendar);
+      return { body: xml, updated };
+    }
   });
+}
+
+/**
+ * Escapes text for an iCalendar TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line into 75-octet pieces (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, pieces joined with CRLF and a space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const pieces = [];
+  let piece = '';
+  let size = 0;
   
-  const response = {
-    weekId: weekId,
-    startDate: formatDate(weekStart),
-    endDate: formatDate(weekEnd),
-    repos: commitsByRepo
-  };
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75 octets
+    const limit = pieces.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      pieces.push(piece);
+      piece = '';
+      size = 0;
+    }
+    piece += char;
+    size += charSize;
+  }
+  pieces.push(piece);
   
-  // Cache the response
-  await setCachedData(env, cacheKey, response);
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Formats a date as an iCalendar DATE value (YYYYMMDD)
+ * @param {Date} date - Date
+ * @returns {string} DATE value
+ */
+function formatIcsDate(date) {
+  return formatDate(date).replace(/-/g, '');
+}
+
+/**
+ * Renders commits as an iCalendar feed with one all-day event per repo per day or week
+ * @param {Object} calendar - Calendar metadata
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {string} calendar.host - Worker host, for event UIDs
+ * @param {string} calendar.period - 'day' or 'week'
+ * @param {Array} commits - Raw commit objects
+ * @param {Object} config - Repos config (display names, organization)
+ * @param {Object} localCalendar - Time zone and week start events are local to (see getCalendar)
+ * @returns {Object} Object with body and updated (ISO timestamp of the newest commit, null when empty)
+ */
+function renderActivityCalendar(calendar, commits, config, localCalendar = DEFAULT_CALENDAR) {
+  const displayNames = new Map(config.repos.map(repo => [repo.fullName, repo.displayName || repo.name]));
+  const groups = groupByPeriod(commits, calendar.period, getCommitDate, localCalendar);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EOYR Dashboard//Commit Activity//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendar.name)}`
+  ];
+  let updated = null;
   
-  return new Response(JSON.stringify(response), {
-    headers: { 'Content-Type': 'application/json' }
+  Object.keys(groups).sort().forEach(periodId => {
+    const byRepo = {};
+    groups[periodId].forEach(commit => {
+      (byRepo[commit.repo] = byRepo[commit.repo] || []).push(formatCommit(commit));
+    });
+    
+    const start = new Date(`${periodId}T00:00:00Z`);
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + (calendar.period === 'week' ? 7 : 1));
+    
+    Object.keys(byRepo).sort().forEach(repo => {
+      const repoCommits = byRepo[repo].sort((a, b) => new Date(a.date) - new Date(b.date) || a.sha.localeCompare(b.sha));
+      const count = repoCommits.length;
+      const latest = new Date(repoCommits[count - 1].date).toISOString();
+      if (!updated || latest > updated) updated = latest;
+      
+      // DTSTAMP is the newest commit rather than the render time, so unchanged events stay byte-identical
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${repo}-${calendar.period}-${periodId}@${calendar.host}`,
+        `DTSTAMP:${latest.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+        `DTSTART;VALUE=DATE:${formatIcsDate(start)}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(`${displayNames.get(repo) || repo}: ${count} commit${count === 1 ? '' : 's'}`)}`,
+        `DESCRIPTION:${escapeIcsText(repoCommits.map(commit => `- ${commit.messageFirstLine} (${commit.author})`).join('\n'))}`,
+        `URL:${getSourceProvider(getRepoProvider(config, repo)).commitsPageUrl(repo)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
   });
+  
+  lines.push('END:VCALENDAR');
+  
+  return { body: lines.map(foldIcsLine).join('\r\n') + '\r\n', updated };
 }
 
 /**
- * API endpoint: GET /api/commits
- * Returns all commits grouped by day/week/month/year with full commit messages
+ * Route: GET /feeds/activity.ics
+ * Returns an iCalendar feed of the last CALENDAR_DAYS days of commits
  * Query params:
- *   - groupBy: 'day', 'week', 'month', 'year' (default: 'week')
- *   - repo: Filter by repo name (comma-separated for multiple)
- *   - from: Start date (YYYY-MM-DD)
- *   - to: End date (YYYY-MM-DD)
- *   - sortBy: 'date', 'repo', 'author' (default: 'date')
- *   - sortOrder: 'asc', 'desc' (default: 'desc')
- *   - search: Search term for commit messages
+ *   - repo: Filter by repo key (owner/name, comma-separated for multiple)
+ *   - period: 'day' or 'week' (default: 'day')
+ *   - tz: IANA time zone that events are local to (default: repos.json timeZone, then UTC)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} iCalendar document, 304, or 400 for an unknown period or time zone
  */
-async function handleGetCommits(request, env) {
+async function handleGetActivityCalendar(request, env) {
   const url = new URL(request.url);
-  const groupBy = url.searchParams.get('groupBy') || 'week';
   const repoFilter = url.searchParams.get('repo');
-  const since = url.searchParams.get('from');
-  const until = url.searchParams.get('to');
-  const sortBy = url.searchParams.get('sortBy') || 'date';
-  const sortOrder = url.searchParams.get('sortOrder') || 'desc';
-  const searchTerm = url.searchParams.get('search');
+  const period = url.searchParams.get('period') || 'day';
+  const timeZone = url.searchParams.get('tz');
   
-  // Check cache first
-  const cacheKey = getCacheKey('commits', { 
-    groupBy, repo: repoFilter, from: since, to: until, 
-    sortBy, sortOrder, search: searchTerm 
-  });
-  const cached = await getCachedData(env, cacheKey);
-  if (cached) {
-    return new Response(JSON.stringify(cached), {
+  if (!['day', 'week'].includes(period)) {
+    return new Response(JSON.stringify({ error: 'Invalid period: use day or week' }), {
+      status: 400,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   
-  // Get repos config
-  const config = await getRepos(env);
-  const token = env.GITHUB_TOKEN;
-  
-  if (!token) {
-    return new Response(JSON.stringify({ error: 'GitHub token not configured' }), {
-      status: 500,
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: `Unknown time zone: ${timeZone}` }), {
+      status: 400,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   
-  // Filter repos if repoFilter is provided
-  let reposToFetch = config.repos.map(r => r.name);
-  if (repoFilter) {
-    const filterList = repoFilter.split(',').map(r => r.trim());
-    reposToFetch = reposToFetch.filter(r => filterList.includes(r));
-  }
+  const config = await getRepos(env);
+  const repos = selectRepos(config, repoFilter);
   
-  // Default date range: last 2 years if not specified
-  let effectiveSince = since;
-  let effectiveUntil = until;
+  const names = repos.map(repo => {
+    const repoConfig = config.repos.find(r => r.fullName === repo);
+    return repoConfig.displayName || repoConfig.name;
+  });
   
-  if (!effectiveSince) {
-    const twoYearsAgo = new Date();
-    twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
-    effectiveSince = formatDate(twoYearsAgo);
-  }
+  const calendar = getCalendar(config, timeZone);
+  return serveFeed(request, env, {
+    config,
+    repos,
+    calendar,
+    cacheKey: getCacheKey('feed-activity-ics', {
+      repo: repos.join(','), period, tz: calendar.timeZone, weekStart: calendar.weekStartDay
+    }),
+    days: CALENDAR_DAYS,
+    contentType: 'text/calendar; charset=utf-8',
+    render: commits => renderActivityCalendar({
+      name: repoFilter ? `${names.join(', ')} activity` : `${config.organization} activity`,
+      host: url.hostname,
+      period
+    }, commits, config, calendar)
+  });
+}
+
+/**
+ * Part 13: Commit Summaries
+ * POST /api/summary turns a group's commits into the narrative from
+ * FEATURE_PROPOSAL_AI_SUMMARY.md (overview, key achievements, technical
+ * improvements, cleanup, impact). Providers are looked up by SUMMARY_PROVIDER;
+ * "local" is a deterministic keyword summary that needs no API and is the default.
+ */
+
+/**
+ * Joins names as "a", "a and b" or "a, b and c"
+ * @param {Array<string>} items - Names
+ * @returns {string} Readable list
+ */
+function joinWithAnd(items) {
+  return items.length <= 1 ? (items[0] || '') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Builds a summary from commit categories alone (the "local" provider)
+ * Same input always gives the same output, which makes it usable in tests and without an API key
+ * @param {Object} input - Summary input from handleSummary
+ * @returns {Promise<Object>} Summary
+ */
+export async function summarizeLocally(input) {
+  const categories = categorizeCommits(input.commits);
+  const firstLines = commits => commits.map(commit => commit.message.split('\n')[0]).slice(0, 5);
+  const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+  const authors = new Set(input.commits.map(commit => commit.author)).size;
+  const focusLabels = { features: 'new features', fixes: 'bug fixes', docs: 'documentation', cleanup: 'cleanup and refactoring' };
+  const focus = Object.keys(focusLabels)
+    .filter(category => categories[category].length > 0)
+    .sort((a, b) => categories[b].length - categories[a].length)[0];
   
-  if (!effectiveUntil) {
-    effectiveUntil = formatDate(new Date());
+  return {
+    overview: `${plural(input.commits.length, 'commit')} across ${joinWithAnd(input.projects)} by ${plural(authors, 'contributor')}, ` +
+      `focused mainly on ${focus ? focusLabels[focus] : 'general maintenance'}.`,
+    keyAchievements: firstLines(categories.features),
+    technicalImprovements: firstLines([...categories.fixes, ...categories.docs]),
+    cleanup: firstLines(categories.cleanup),
+    impact: `${plural(categories.features.length, 'feature')}, ${plural(categories.fixes.length, 'fix', 'fixes')}, ` +
+      `${plural(categories.docs.length, 'documentation update')} and ${plural(categories.cleanup.length, 'cleanup change')}.`
+  };
+}
+
+/**
+ * Asks an OpenAI-compatible chat completions API for a summary (the "openai" provider)
+ * Uses SUMMARY_API_KEY, and SUMMARY_MODEL / SUMMARY_API_URL when set
+ * @param {Object} input - Summary input from handleSummary
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Summary as returned by the model
+ */
+async function summarizeWithOpenAI(input, env) {
+  if (!env.SUMMARY_API_KEY) {
+    throw new Error('SUMMARY_API_KEY is not configured');
   }
   
-  // Fetch all commits with pagination
-  let commits = await fetchAllCommits(
-    reposToFetch,
-    config.organization,
-    token,
-    effectiveSince,
-    effectiveUntil
-  );
+  const commitLines = input.commits.slice(0, SUMMARY_PROMPT_COMMITS)
+    .map(commit => `- [${commit.project}] ${commit.message.split('\n')[0].substring(0, 200)} (${commit.author})`);
+  const omitted = input.commits.length - commitLines.length;
   
-  console.log(`Total commits fetched: ${commits.length}`);
+  const response = await fetch(env.SUMMARY_API_URL || 'https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.SUMMARY_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: env.SUMMARY_MODEL || 'gpt-4o-mini',
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: 'You summarize a period of software work for non-technical stakeholders. ' +
+            'Reply with a JSON object with keys: overview (2-3 sentences), keyAchievements (array of short strings), ' +
+            'technicalImprovements (array), cleanup (array), impact (one sentence). Only use facts from the commits.'
+        },
+        {
+          role: 'user',
+          content: `Commits (${input.commits.length} across ${input.projects.join(', ')}):\n${commitLines.join('\n')}` +
+            (omitted > 0 ? `\n(${omitted} more commits not listed)` : '')
+        }
+      ]
+    })
+  });
   
-  // Apply search filter if provided
-  if (searchTerm) {
-    const searchLower = searchTerm.toLowerCase();
-    commits = commits.filter(commit => 
-      commit.commit.message.toLowerCase().includes(searchLower) ||
-      commit.commit.author.name.toLowerCase().includes(searchLower) ||
-      commit.repo.toLowerCase().includes(searchLower)
-    );
+  if (!response.ok) {
+    throw new Error(`Summary provider error: ${response.status} - ${(await response.text()).substring(0, 200)}`);
   }
   
-  // Sort commits
-  commits.sort((a, b) => {
-    let comparison = 0;
-    switch (sortBy) {
-      case 'date':
-        comparison = new Date(a.commit.author.date) - new Date(b.commit.author.date);
-        break;
-      case 'repo':
-        comparison = a.repo.localeCompare(b.repo);
-        break;
-      case 'author':
-        comparison = a.commit.author.name.localeCompare(b.commit.author.name);
-        break;
-      default:
-        comparison = new Date(a.commit.author.date) - new Date(b.commit.author.date);
-    }
-    return sortOrder === 'desc' ? -comparison : comparison;
+  const completion = await response.json();
+  return JSON.parse(completion.choices[0].message.content);
+}
+
+/**
+ * Summary providers by SUMMARY_PROVIDER name
+ * A provider takes (input, env) and resolves to an object with the summary fields
+ */
+const SUMMARY_PROVIDERS = {
+  local: summarizeLocally,
+  openai: summarizeWithOpenAI
+};
+
+/**
+ * Coerces a provider's answer into the summary shape the dashboard renders
+ * @param {Object} raw - Provider output
+ * @returns {Object} Summary ({ overview, keyAchievements, technicalImprovements, cleanup, impact })
+ */
+export function normalizeSummary(raw) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const list = value => (Array.isArray(value) ? value.map(text).filter(Boolean).slice(0, 8) : []);
+  
+  return {
+    overview: text(raw?.overview),
+    keyAchievements: list(raw?.keyAchievements),
+    technicalImprovements: list(raw?.technicalImprovements),
+    cleanup: list(raw?.cleanup),
+    impact: text(raw?.impact)
+  };
+}
+
+/**
+ * API endpoint: POST /api/summary
+ * Summarizes a group of commits
+ * Body: { commits: [{ sha, message, repo, author, date }] }
+ * Results are cached by provider and the hash of the normalized input, so a
+ * summary is only reused for the same messages, authors and projects
+ */
+async function handleSummary(request, env) {
+  const tooLarge = () => new Response(JSON.stringify({
+    error: `Request body is larger than ${SUMMARY_MAX_BODY_BYTES} bytes`
+  }), {
+    status: 413,
+    headers: { 'Content-Type': 'application/json' }
   });
   
-  // Group commits
-  let groups = {};
-  switch (groupBy) {
-    case 'day':
-      groups = groupCommitsByDay(commits);
-      break;
-    case 'week':
-      groups = groupCommitsByWeek(commits);
-      break;
-    case 'month':
-      groups = groupCommitsByMonth(commits);
-      break;
-    case 'year':
-      groups = groupCommitsByYear(commits);
-      break;
-    default:
-      groups = groupCommitsByWeek(commits);
+  if (Number(request.headers.get('Content-Length')) > SUMMARY_MAX_BODY_BYTES) {
+    return tooLarge();
+  }
+  const text = await request.text();
+  if (text.length > SUMMARY_MAX_BODY_BYTES) {
+    return tooLarge();
   }
   
-  // Format response
-  const groupKeys = Object.keys(groups).sort();
-  if (sortOrder === 'desc') {
-    groupKeys.reverse();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = null;
+  }
+  
+  const commits = body?.commits;
+  if (!Array.isArray(commits) || commits.length === 0 || commits.length > SUMMARY_MAX_COMMITS ||
+      !commits.every(commit => typeof commit?.sha === 'string' && typeof commit.message === 'string')) {
+    return new Response(JSON.stringify({
+      error: `Body must be { commits: [...] } with 1-${SUMMARY_MAX_COMMITS} commits that each have a sha and message`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const providerName = env.SUMMARY_PROVIDER || 'local';
+  const provider = SUMMARY_PROVIDERS[providerName];
+  if (!provider) {
+    return new Response(JSON.stringify({ error: `Unknown SUMMARY_PROVIDER: ${providerName}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Providers see commits oldest first with project display names, whatever order the client sent
+  const config = await getRepos(env);
+  const displayNames = new Map(config.repos.map(repo => [repo.fullName, repo.displayName || repo.name]));
+  const input = {
+    commits: commits
+      .map(commit => ({
+        sha: commit.sha,
+        message: commit.message.substring(0, SUMMARY_MAX_MESSAGE_LENGTH),
+        author: String(commit.author || 'Unknown'),
+        date: commit.date || null,
+        project: displayNames.get(commit.repo) || String(commit.repo || 'Unknown')
+      }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.sha.localeCompare(b.sha))
+  };
+  input.projects = [...new Set(input.commits.map(commit => commit.project))].sort();
+  
+  const cacheKey = `summary:${providerName}:${await sha256Hex(JSON.stringify(input))}`;
+  const cached = await getCachedData(env, cacheKey);
+  if (cached) {
+    return new Response(JSON.stringify({ ...cached, cached: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
   
-  const formattedGroups = groupKeys.map(groupId => {
-    const groupCommits = groups[groupId];
-    const repos = [...new Set(groupCommits.map(c => c.repo))];
-    
-    // Get date range for group
-    const dates = groupCommits.map(c => new Date(c.commit.author.date));
-    const startDate = new Date(Math.min(...dates));
-    const endDate = new Date(Math.max(...dates));
-    
-    return {
-      id: groupId,
-      type: groupBy,
-      label: getGroupLabel(groupId, groupBy),
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate),
-      commitCount: groupCommits.length,
-      repos: repos,
-      repoCount: repos.length,
-      commits: groupCommits.map(formatCommit)
-    };
-  });
+  let summary;
+  try {
+    summary = normalizeSummary(await provider(input, env));
+  } catch (error) {
+    console.error('Summary provider failed:', error);
+    return new Response(JSON.stringify({ error: 'Summary provider failed', message: error.message }), {
+      status: 502,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   
   const response = {
-    groups: formattedGroups,
-    totalCommits: commits.length,
-    totalGroups: formattedGroups.length,
-    dateRange: {
-      from: effectiveSince,
-      to: effectiveUntil
-    },
-    filters: {
-      groupBy,
-      repos: repoFilter ? repoFilter.split(',') : reposToFetch,
-      sortBy,
-      sortOrder,
-      search: searchTerm
-    }
+    summary: summary,
+    provider: providerName,
+    commitCount: commits.length
   };
+  await setCachedData(env, cacheKey, response, SUMMARY_CACHE_TTL);
   
-  // Cache the response (shorter TTL for larger responses)
-  await setCachedData(env, cacheKey, response, commits.length > 500 ? 1800 : CACHE_TTL);
-  
-  return new Response(JSON.stringify(response), {
+  return new Response(JSON.stringify({ ...response, cached: false }), {
     headers: { 'Content-Type': 'application/json' }
   });
 }
 
 /**
- * Debug endpoint to test GitHub API connection
+ * Part 14: Repository Discovery
+ * A "discover" block in the repos config lists the organization's repos from
+ * /orgs/{org}/repos (or a user's from /users/{user}/repos) and keeps those matching its name globs, topics and
+ * archived rule. Repos listed under "repos" are always included and their
+ * settings (displayName, branches) win. The listing is cached in KV and
+ * dropped when a repository webhook event arrives.
  */
-async function handleDebug(request, env) {
-  const results = {
-    tokenExists: !!env.GITHUB_TOKEN,
-    tokenLength: env.GITHUB_TOKEN ? env.GITHUB_TOKEN.length : 0,
-    tokenPrefix: env.GITHUB_TOKEN ? env.GITHUB_TOKEN.substring(0, 4) + '...' : 'none',
-    kvExists: !!env.EOYR_CACHE,
-    reposConfigExists: !!env.REPOS_CONFIG,
-    githubApiTest: null,
-    error: null
+
+/**
+ * Gets the KV key of an organization's cached repo listing
+ * @param {string} org - GitHub organization name
+ * @returns {string} Cache key
+ */
+function getOrgReposKey(org) {
+  return `org-repos:${org}`;
+}
+
+/**
+ * Converts a glob pattern to a regular expression
+ * Supports * (any run of characters) and ? (one character); matching ignores case
+ * @param {string} pattern - Glob pattern (e.g. "client-*")
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const source = [...pattern].map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks whether a name matches any of a list of glob patterns
+ * @param {string} name - Repository name
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if a pattern matches
+ */
+function matchesAnyGlob(name, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(name));
+}
+
+/**
+ * Turns a repository name into a display name (outlaw_spice becomes "Outlaw Spice")
+ * @param {string} name - Repository name
+ * @returns {string} Display name
+ */
+function humanizeRepoName(name) {
+  return name
+    .split(/[-_.\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Formats a repository from the GitHub API
+ * @param {Object} repo - Raw repository object
+ * @returns {Object} Repository metadata
+ */
+function formatRepoMetadata(repo) {
+  return {
+    name: repo.name,
+    description: repo.description || null,
+    defaultBranch: repo.default_branch,
+    visibility: repo.visibility || (repo.private ? 'private' : 'public'),
+    archived: !!repo.archived,
+    topics: repo.topics || []
   };
-  
-  // Test GitHub API with a simple request
-  if (env.GITHUB_TOKEN) {
-    try {
-      const config = await getRepos(env);
-      const testRepo = config.repos[0]?.name || 'core_render_portal';
-      const testUrl = `https://api.github.com/repos/${config.organization}/${testRepo}/commits?per_page=1`;
-      
-      const response = await fetch(testUrl, {
-        headers: {
-          'Authorization': `token ${env.GITHUB_TOKEN}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'EOYR-Dashboard/1.0'
-        }
-      });
-      
-      results.githubApiTest = {
-        status: response.status,
-        statusText: response.statusText,
-        rateLimit: response.headers.get('X-RateLimit-Remaining'),
-        rateLimitReset: response.headers.get('X-RateLimit-Reset')
-      };
-      
-      if (!response.ok) {
-        const errorBody = await response.text();
-        results.githubApiTest.errorBody = errorBody.substring(0, 500);
-      } else {
-        const commits = await response.json();
-        results.githubApiTest.commitCount = commits.length;
-        if (commits.length > 0) {
-          results.githubApiTest.latestCommitDate = commits[0].commit?.author?.date;
-          results.githubApiTest.latestCommitMessage = commits[0].commit?.message?.substring(0, 100);
-        }
-      }
-    } catch (error) {
-      results.error = error.message;
-    }
-  }
-  
-  return new Response(JSON.stringify(results, null, 2), {
-    headers: { 'Content-Type': 'application/json' }
-  });
 }
 
 /**
- * Part 4: Webhook Handler for Cache Invalidation
+ * Lists every raw repository of an organization or user
+ * /orgs/{owner}/repos answers 404 for users; their repos are listed with
+ * /user/repos when the token belongs to them (so private repos are included)
+ * and /users/{owner}/repos otherwise
+ * @param {string} owner - GitHub organization or user name
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Array>} Raw repository objects
  */
+async function fetchOwnerRepos(owner, token) {
+  try {
+    return await fetchAllPages(`${GITHUB_API_BASE}/orgs/${owner}/repos?type=all&per_page=100`, token);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  
+  const response = await githubGet(`${GITHUB_API_BASE}/user`, token);
+  const viewer = response.ok ? await response.json() : null;
+  const url = viewer?.login?.toLowerCase() === owner.toLowerCase()
+    ? `${GITHUB_API_BASE}/user/repos?affiliation=owner&per_page=100`
+    : `${GITHUB_API_BASE}/users/${owner}/repos?type=owner&per_page=100`;
+  return fetchAllPages(url, token);
+}
 
 /**
- * Validates GitHub webhook signature
- * @param {string} payload - Request body
- * @param {string} signature - X-Hub-Signature-256 header value
- * @param {string} secret - Webhook secret
- * @returns {boolean} True if signature is valid
+ * Lists every repository of an organization or user (cached for REPO_DISCOVERY_TTL)
+ * A failed listing is cached for REPO_DISCOVERY_FAILURE_TTL, so requests in
+ * between fail fast instead of asking GitHub again
+ * @param {Object} env - Worker environment
+ * @param {string} org - GitHub organization or user name
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Array>} Repository metadata
+ * @throws {Error} When the repos can't be listed (or could not be recently)
  */
-async function validateWebhookSignature(payload, signature, secret) {
-  if (!signature || !secret) {
-    return false;
+async function fetchOrgRepos(env, org, token) {
+  // Pre-warming refreshes responses, not the repo listing every one of its queries reads
+  const cacheEnv = { ...env, CACHE_REFRESH: false };
+  const cacheKey = getOrgReposKey(org);
+  const cached = await getCachedData(cacheEnv, cacheKey);
+  if (cached) {
+    if (cached.error) {
+      throw new Error(`Listing repos of ${org} failed recently: ${cached.error}`);
+    }
+    return cached;
   }
   
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
+  let repos;
+  try {
+    repos = await fetchOwnerRepos(org, token);
+  } catch (error) {
+    await setCachedData(cacheEnv, cacheKey, { error: error.message }, REPO_DISCOVERY_FAILURE_TTL);
+    throw error;
+  }
+  const formatted = repos.map(formatRepoMetadata);
+  await setCachedData(cacheEnv, cacheKey, formatted, REPO_DISCOVERY_TTL);
+  return formatted;
+}
+
+/**
+ * Picks the organization repos a discover block selects
+ * @param {Array} orgRepos - Repository metadata from fetchOrgRepos
+ * @param {Object} rules - The config's discover block
+ * @param {Array<string>} rules.include - Name globs to include (default: all)
+ * @param {Array<string>} rules.exclude - Name globs to leave out
+ * @param {Array<string>} rules.topics - Only repos with at least one of these topics
+ * @param {string} rules.archived - 'exclude' (default), 'include' or 'only'
+ * @returns {Array} Matching repository metadata
+ */
+function selectDiscoveredRepos(orgRepos, rules) {
+  const include = rules.include && rules.include.length > 0 ? rules.include : ['*'];
+  const exclude = rules.exclude || [];
+  const topics = (rules.topics || []).map(topic => topic.toLowerCase());
+  const archived = rules.archived || 'exclude';
   
-  const signatureBuffer = await crypto.subtle.sign(
-    'HMAC',
-    key,
-    encoder.encode(payload)
+  return orgRepos.filter(repo =>
+    matchesAnyGlob(repo.name, include) &&
+    !matchesAnyGlob(repo.name, exclude) &&
+    (topics.length === 0 || repo.topics.some(topic => topics.includes(topic.toLowerCase()))) &&
+    (archived === 'include' || repo.archived === (archived === 'only'))
   );
-  
-  const expectedSignature = 'sha256=' + Array.from(new Uint8Array(signatureBuffer))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-  
-  return signature === expectedSignature;
 }
 
 /**
- * Handles GitHub webhook POST requests
- * Invalidates cache when new commits are pushed
+ * Adds GitHub metadata (description, default branch, visibility) to the repo
+ * entries of one owner; settings already on an entry are kept
+ * @param {Array} repos - Repo entries from the config (with owner)
+ * @param {Array} orgRepos - Repository metadata from fetchOrgRepos
+ * @param {string} owner - Owner the metadata was listed for
+ * @returns {Array} Repo entries with metadata
  */
-async function handleWebhook(request, env) {
-  const signature = request.headers.get('X-Hub-Signature-256');
-  const secret = env.WEBHOOK_SECRET;
+function withRepoMetadata(repos, orgRepos, owner) {
+  const metadata = new Map(orgRepos.map(repo => [repo.name.toLowerCase(), repo]));
   
-  const payload = await request.text();
+  return repos.map(repo => {
+    const onGitHub = (repo.provider || DEFAULT_SOURCE_PROVIDER) === 'github';
+    const meta = onGitHub && repo.owner === owner ? metadata.get(repo.name.toLowerCase()) : null;
+    if (!meta) return repo;
+    return {
+      name: repo.name,
+      description: meta.description,
+      defaultBranch: meta.defaultBranch,
+      visibility: meta.visibility,
+      ...repo
+    };
+  });
+}
+
+/**
+ * Resolves the repo list of a config with a discover block
+ * Listed repos come first in config order, then discovered ones by name. If the
+ * organization can't be listed, only the listed repos are returned. Listed repos
+ * of other owners are kept as they are.
+ * @param {Object} env - Worker environment
+ * @param {Object} config - Repos config with discover and repos (with owner filled in)
+ * @returns {Promise<Array>} Repo entries ({ name, owner, fullName, displayName, description, defaultBranch, visibility, ... })
+ */
+async function discoverRepos(env, config) {
+  if (!env.GITHUB_TOKEN) {
+    return config.repos;
+  }
   
-  // Validate signature
-  if (!await validateWebhookSignature(payload, signature, secret)) {
-    return new Response('Invalid signature', { status: 401 });
+  let orgRepos;
+  try {
+    orgRepos = await fetchOrgRepos(env, config.organization, env.GITHUB_TOKEN);
+  } catch (error) {
+    console.error(`Repo discovery for ${config.organization} failed:`, error);
+    return config.repos;
   }
   
-  const event = JSON.parse(payload);
+  const listed = new Set(config.repos.map(repo => repo.fullName.toLowerCase()));
+  const discovered = selectDiscoveredRepos(orgRepos, config.discover)
+    .filter(repo => !listed.has(getRepoKey(config.organization, repo.name).toLowerCase()))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(repo => withRepoOwner({ name: repo.name, displayName: humanizeRepoName(repo.name) }, config.organization));
   
-  // Only handle push events
-  if (event.action === 'push' || event.ref) {
-    // Clear all cache entries (simple approach)
-    // In production, you might want to clear only specific keys
-    try {
-      // Note: KV doesn't support listing all keys easily
-      // This is a simplified approach - in production you'd track keys
-      return new Response('Cache invalidated', { status: 200 });
-    } catch (error) {
-      console.error('Error invalidating cache:', error);
-      return new Response('Error invalidating cache', { status: 500 });
+  return withRepoMetadata([...config.repos, ...discovered], orgRepos, config.organization);
+}
+
+/**
+ * Part 15: Author Identities
+ * The "authors" section of the repos config maps the emails and names a person
+ * commits under to one canonical identity (display name and avatar), and lists
+ * bot accounts. Identities are attached to commits in fetchConfiguredCommits,
+ * so formatting, filtering, sorting and every aggregate see the same person.
+ */
+
+// GitHub Apps (dependabot[bot], github-actions[bot], ...) commit under names ending in [bot]
+const DEFAULT_BOT_PATTERNS = ['*[bot]'];
+
+/**
+ * Creates a function that resolves the identity of a commit's author
+ * @param {Object} authors - "authors" section of the repos config
+ * @param {Array<Object>} authors.people - People ({ id, name, avatar, emails, names, logins, bot })
+ * @param {Array<string>} authors.bots - Name or email globs of bot accounts
+ * @returns {Function} Resolves an author ({ name, email, login }) to { id, name, email, avatar, bot }
+ */
+function createAuthorResolver(authors = {}) {
+  const byEmail = new Map();
+  const byName = new Map();
+  const byLogin = new Map();
+  (authors.people || []).forEach(person => {
+    (person.emails || []).forEach(email => byEmail.set(email.toLowerCase(), person));
+    [person.name, ...(person.names || [])].filter(Boolean).forEach(name => byName.set(name.toLowerCase(), person));
+    (person.logins || []).forEach(login => byLogin.set(login.toLowerCase(), person));
+  });
+  // Compiled once here since the resolver runs for every commit of a response
+  const botPatterns = [...DEFAULT_BOT_PATTERNS, ...(authors.bots || [])].map(globToRegExp);
+  
+  return ({ name = null, email = null, login = null }) => {
+    const person = (email && byEmail.get(email.toLowerCase())) ||
+      (login && byLogin.get(login.toLowerCase())) ||
+      (name && byName.get(name.toLowerCase()));
+    const isBot = [name, email, login].some(value => value && botPatterns.some(pattern => pattern.test(value)));
+    
+    if (!person) {
+      return { id: (email || login || name || 'unknown').toLowerCase(), name: name || login, email: email, avatar: null, bot: isBot };
     }
+    const personEmail = (person.emails || [])[0] || email;
+    return {
+      id: String(person.id || personEmail || person.name).toLowerCase(),
+      name: person.name || name || login,
+      email: personEmail,
+      avatar: person.avatar || null,
+      bot: person.bot === undefined ? isBot : !!person.bot
+    };
+  };
+}
+
+/**
+ * Attaches the canonical author identity to commits, leaving out bots when the
+ * config's authors.excludeBots is set
+ * @param {Array} commits - Raw commit objects
+ * @param {Object} config - Repos config
+ * @returns {Array} Commits with an identity property
+ */
+function resolveCommitAuthors(commits, config) {
+  const resolve = createAuthorResolver(config.authors);
+  commits.forEach(commit => {
+    commit.identity = resolve(commit.commit.author);
+  });
+  return config.authors?.excludeBots ? commits.filter(commit => !commit.identity.bot) : commits;
+}
+
+/**
+ * Attaches the canonical author identity to formatted pull requests, leaving
+ * out bots when the config's authors.excludeBots is set
+ * The PR author is a GitHub login, matched against people's logins and names
+ * @param {Array} pulls - Formatted pull requests (see formatPull)
+ * @param {Object} config - Repos config
+ * @returns {Array} Pull requests with the canonical author, authorLogin, authorId and (when set) authorAvatar and bot
+ */
+function resolvePullAuthors(pulls, config) {
+  const resolve = createAuthorResolver(config.authors);
+  const resolved = pulls.map(pull => {
+    const identity = resolve({ login: pull.author });
+    return {
+      ...pull,
+      author: identity.name,
+      authorLogin: pull.author,
+      authorId: identity.id,
+      ...(identity.avatar ? { authorAvatar: identity.avatar } : {}),
+      ...(identity.bot || pull.authorType === 'Bot' ? { bot: true } : {})
+    };
+  });
+  return config.authors?.excludeBots ? resolved.filter(pull => !pull.bot) : resolved;
+}
+
+/**
+ * Gets the author identity of a commit
+ * Commits that did not go through resolveCommitAuthors use the git author as is
+ * @param {Object} commit - Raw commit object
+ * @returns {Object} Identity ({ id, name, email, avatar, bot })
+ */
+function getCommitIdentity(commit) {
+  return commit.identity || {
+    id: getRawAuthorKey(commit),
+    name: commit.commit.author.name,
+    email: commit.commit.author.email,
+    avatar: null,
+    bot: false
+  };
+}
+
+/**
+ * Applies the excludeBots query parameter to a config
+ * @param {Object} config - Repos config
+ * @param {string|null} excludeBots - Query parameter ('true' or 'false'), null to keep the config setting
+ * @returns {Object} Config with authors.excludeBots set from the parameter
+ */
+function withExcludeBots(config, excludeBots) {
+  if (excludeBots === null) {
+    return config;
   }
-  
-  return new Response('Event ignored', { status: 200 });
+  return { ...config, authors: { ...config.authors, excludeBots: excludeBots === 'true' } };
 }
 
 /**
  * Main Worker Handler
  */
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // CORS headers for all responses
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-    };
-    
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
-    }
+
+/**
+ * Routes a request to its endpoint, after the CORS and authentication checks
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Response with CORS headers
+ */
+async function handleRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+  
+  // CORS headers for all responses (null when the origin is not allowed)
+  const corsHeaders = getCorsHeaders(request, env);
+  
+  // Handle CORS preflight
+  if (request.method === 'OPTIONS') {
+    return corsHeaders
+      ? new Response(null, { headers: corsHeaders })
+      : new Response('Origin not allowed', { status: 403 });
+  }
+  
+  try {
+    let response;
+    let denied = null;
     
-    try {
-      let response;
-      
-      // Route requests
-      if (path === '/api/repos' && request.method === 'GET') {
-        response = await handleGetRepos(env);
-      } else if (path === '/api/debug' && request.method === 'GET') {
-        response = await handleDebug(request, env);
-      } else if (path === '/api/commits' && request.method === 'GET') {
-        response = await handleGetCommits(request, env);
-      } else if (path === '/api/weeks' && request.method === 'GET') {
-        response = await handleGetWeeks(request, env);
-      } else if (path.startsWith('/api/weeks/') && request.method === 'GET') {
-        const weekId = path.split('/api/weeks/')[1];
-        response = await handleGetWeekDetail(request, env, weekId);
-      } else if (path === '/webhook' && request.method === 'POST') {
-        response = await handleWebhook(request, env);
-      } else {
-        response = new Response('Not Found', { status: 404 });
+    // Authenticate /api/* and /feeds/* (auth endpoints check credentials themselves)
+    const isProtected = (path.startsWith('/api/') && !path.startsWith('/api/auth/')) || path.startsWith('/feeds/');
+    if (isProtected && !env.AUTH_SECRET) {
+      // Fail closed: serving commits to anyone has to be asked for
+      if (env.PUBLIC_ACCESS !== 'true') {
+        denied = { status: 503, error: 'Authentication is not configured: set AUTH_SECRET, or PUBLIC_ACCESS to "true" to serve without it' };
       }
-      
-      // Add CORS headers to response
-      Object.entries(corsHeaders).forEach(([key, value]) => {
-        response.headers.set(key, value);
-      });
-      
-      return response;
-    } catch (error) {
-      console.error('Worker error:', error);
-      return new Response(JSON.stringify({ 
-        error: 'Internal server error',
-        message: error.message 
-      }), {
-        status: 500,
-        headers: { 
-          'Content-Type': 'application/json',
-          ...corsHeaders
+    } else if (isProtected) {
+      const principal = await authenticateRequest(request, env);
+      if (!principal) {
+        denied = { status: 401, error: 'Authentication required' };
+      } else if (principal.repos !== '*') {
+        // Scoped keys can't see debug or pre-warm output (cross-repo details) and only read their repos
+        const adminOnly = path === '/api/debug' || path === '/api/prewarm';
+        const scopedRequest = adminOnly ? null : scopeRequestToRepos(request, principal.repos);
+        if (!scopedRequest) {
+          denied = { status: 403, error: 'This key is not allowed to read the requested repos' };
+        } else {
+          request = scopedRequest;
+          env = { ...env, AUTH_REPOS: principal.repos };
         }
+      }
+    }
+    
+    // Route requests
+    if (denied) {
+      response = new Response(JSON.stringify({ error: denied.error }), {
+        status: denied.status,
+        headers: { 'Content-Type': 'application/json' }
       });
+    } else if (path.startsWith('/api/auth/')) {
+      response = await handleAuth(request, env, path);
+    } else if (path === '/api/repos' && request.method === 'GET') {
+      response = await handleGetRepos(env);
+    } else if (path === '/api/debug' && request.method === 'GET') {
+      response = await handleDebug(request, env);
+    } else if (path === '/api/prewarm' && request.method === 'GET') {
+      response = await handleGetPrewarmStatus(env);
+    } else if (path === '/api/commits' && request.method === 'GET') {
+      response = await handleGetCommits(request, env);
+    } else if (path === '/api/export' && request.method === 'GET') {
+      response = await handleGetExport(request, env);
+    } else if (path === '/api/contributors' && request.method === 'GET') {
+      response = await handleGetContributors(request, env);
+    } else if (path === '/api/pulls' && request.method === 'GET') {
+      response = await handleGetPulls(request, env);
+    } else if (path === '/api/issues' && request.method === 'GET') {
+      response = await handleGetIssues(request, env);
+    } else if (path === '/api/releases' && request.method === 'GET') {
+      response = await handleGetReleases(request, env);
+    } else if (path === '/api/summary' && request.method === 'POST') {
+      response = await handleSummary(request, env);
+    } else if (path === '/api/reports/weekly' && request.method === 'GET') {
+      response = await handleGetWeeklyReport(request, env);
+    } else if (path === '/api/weeks' && request.method === 'GET') {
+      response = await handleGetWeeks(request, env);
+    } else if (path.startsWith('/api/weeks/') && request.method === 'GET') {
+      const weekId = path.split('/api/weeks/')[1];
+      response = await handleGetWeekDetail(request, env, weekId);
+    } else if (path === '/feeds/activity.ics' && request.method === 'GET') {
+      response = await handleGetActivityCalendar(request, env);
+    } else if (path.startsWith('/feeds/') && path.endsWith('.atom') && request.method === 'GET') {
+      const feedName = decodeURIComponent(path.slice('/feeds/'.length, -'.atom'.length));
+      response = await handleGetFeed(request, env, feedName);
+    } else if (path === '/webhook' && request.method === 'POST') {
+      response = await handleWebhook(request, env);
+    } else {
+      response = new Response('Not Found', { status: 404 });
     }
+    
+    // Add CORS headers to response
+    Object.entries(corsHeaders || {}).forEach(([key, value]) => {
+      response.headers.set(key, value);
+    });
+    
+    return response;
+  } catch (error) {
+    console.error('Worker error:', error);
+    return new Response(JSON.stringify({ 
+      error: 'Internal server error',
+      message: error.message 
+    }), {
+      status: 500,
+      headers: { 
+        'Content-Type': 'application/json',
+        ...(corsHeaders || {})
+      }
+    });
+  }
+}
+
+export default {
+  async fetch(request, env) {
+    return runWithDeadline(REQUEST_DEADLINE, () => handleRequest(request, env));
+  },
+  
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduled(event, env));
   }
 };
 